@@ -4,6 +4,11 @@ const mongoose = require('mongoose');
 const cookieParser = require('cookie-parser');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const fs = require('fs');
+const { once } = require('events');
+const path = require('path');
+const nodemailer = require('nodemailer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,6 +17,44 @@ const PORT = process.env.PORT || 3000;
 // MIDDLEWARE
 // ============================================
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the
+// client's address; rate limits and session listings rely on it.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+// Error responses are { success: false, error, code }: `error` is for
+// people, `code` for programs. Routes only set the status; the code is
+// derived from it here unless they send their own.
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    500: 'internal_error'
+};
+
+app.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (body && body.success === false && !body.code) {
+            body = {
+                ...body,
+                code: ERROR_CODES[res.statusCode] || (res.statusCode >= 500 ? 'internal_error' : 'invalid_request')
+            };
+        }
+        return json(body);
+    };
+    next();
+});
+
+// Imports carry whole exports or CSV files, so they get a larger body
+// limit; the global parsers below skip bodies that are already parsed.
+app.use(['/import', '/api/v1/import'], express.json({ limit: '10mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -39,7 +82,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+    exposedHeaders: ['Deprecation', 'Link', 'Retry-After', 'Idempotent-Replayed']
 }));
 
 // ============================================
@@ -59,6 +103,7 @@ mongoose.connect(MONGODB_URI, {
     useUnifiedTopology: true
 }).then(() => {
     console.log('✅ MongoDB connected successfully');
+    return scheduleRunningTimers();
 }).catch((err) => {
     console.error('❌ MongoDB connection error:', err);
     process.exit(1);
@@ -68,14 +113,149 @@ mongoose.connect(MONGODB_URI, {
 // SCHEMAS & MODELS
 // ============================================
 
+const ACCESS_TOKEN_SCOPES = ['tasks:read', 'tasks:write', 'records:read', 'records:write'];
+
+const RECORD_KINDS = ['focus', 'short_break', 'long_break'];
+
+const MAIL_TOKEN_PURPOSES = ['password_reset', 'verify_email'];
+
+const TASK_PRIORITIES = ['none', 'low', 'medium', 'high'];
+const TASK_STATUSES = ['active', 'completed', 'archived'];
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+const TEAM_ROLES = ['owner', 'member'];
+
+// Task fields whose last change is tracked for sync conflict resolution.
+const SYNCED_TASK_FIELDS = [
+    'name', 'num', 'finish', 'day', 'position', 'projectId', 'description', 'dueDate',
+    'priority', 'tags', 'status', 'completedAt', 'subtasks', 'recurrence'
+];
+
+const TOMBSTONE_KINDS = ['task', 'record', 'project'];
+
+// How long deletions are remembered for syncing clients. A client that
+// hasn't synced for longer gets a full snapshot instead of changes.
+const TOMBSTONE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const ACTIVITY_TYPES = [
+    'task.created', 'task.renamed', 'task.estimate_changed', 'task.finish_incremented',
+    'task.finish_changed', 'task.completed', 'task.reopened', 'task.archived',
+    'task.deleted', 'task.restored',
+    'account.signup', 'account.login', 'account.logout'
+];
+
+// Deleted tasks stay in the trash, restorable, for this many days.
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DEFAULT_PROJECT_COLOR = '#7c6cf2';
+
+// Default planned length of each kind of block, in seconds.
+const DEFAULT_DURATIONS = {
+    focus: 25 * 60,
+    short_break: 5 * 60,
+    long_break: 15 * 60
+};
+
+const TIMER_STATES = ['idle', 'running', 'paused'];
+
+const GOAL_METRICS = ['pomodoros', 'minutes'];
+
+// Longest block the timer (or a duration setting) allows, in seconds.
+const MAX_TIMER_DURATION = 4 * 60 * 60;
+
+// Checklist items under a task. `num` is an optional pomodoro estimate;
+// 0 means the subtask is a plain checkbox.
+const subtaskSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    done: { type: Boolean, default: false },
+    position: { type: Number, default: 0 },
+    num: { type: Number, default: 0, min: 0 },
+    finish: { type: Number, default: 0, min: 0 },
+    completedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// RRULE-style schedule shared by every instance of a recurring task.
+// `interval` counts days, weeks or months depending on `freq` (ignored for
+// weekdays); `anchor` is the series' first day and fixes which days an
+// interval lands on.
+const recurrenceSchema = new mongoose.Schema({
+    freq: { type: String, enum: RECURRENCE_FREQUENCIES, required: true },
+    interval: { type: Number, default: 1, min: 1 },
+    weekdays: [{ type: Number, min: 0, max: 6 }],
+    monthDay: { type: Number, min: 1, max: 31 },
+    anchor: { type: String, required: true },
+    until: { type: String, default: null }
+}, { _id: false });
+
 const taskSchema = new mongoose.Schema({
     name: { type: String, required: true },
     num:  { type: Number, default: 1 },
     finish: { type: Number, default: 0 },
     user: { type: String, required: true },
-    day: Number
+    // Planned date as 'YYYY-MM-DD' in the user's timezone; null when unscheduled.
+    day: { type: String, default: null },
+    position: { type: Number, default: null },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    description: { type: String, default: '' },
+    dueDate: { type: Date, default: null },
+    priority: { type: String, enum: TASK_PRIORITIES, default: 'none' },
+    tags: [String],
+    status: { type: String, enum: TASK_STATUSES, default: 'active' },
+    completedAt: { type: Date, default: null },
+    subtasks: [subtaskSchema],
+    recurrence: { type: recurrenceSchema, default: null },
+    // Every instance of a recurring task shares the first instance's _id.
+    seriesId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Set on a team's shared tasks, whose `user` is then teamOwner(teamId)
+    // rather than a user id.
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+    // Bumped on every change to a synced field; `fieldClocks` records when
+    // each of those fields last changed. Fields without a clock date from
+    // `createdAt`.
+    version: { type: Number, default: 1 },
+    fieldClocks: { type: Map, of: Date, default: () => new Map() },
+    // Set while the task is in the trash. Tasks trashed together by
+    // deleteAllTasks() share a `deletedBatch`, which is their undo token.
+    deletedAt: { type: Date, default: null },
+    deletedBatch: { type: mongoose.Schema.Types.ObjectId, default: null }
 }, { timestamps: true });
 
+taskSchema.index({ user: 1, position: 1, createdAt: 1 });
+taskSchema.index({ user: 1, day: 1 });
+taskSchema.index({ user: 1, projectId: 1 });
+taskSchema.index({ user: 1, seriesId: 1, day: 1 });
+taskSchema.index({ user: 1, deletedAt: -1 });
+taskSchema.index({ user: 1, updatedAt: 1 });
+// Only trashed tasks have a deletedAt, so only they expire. MongoDB keeps
+// an existing TTL as it is, so changing TRASH_RETENTION_DAYS means dropping
+// this index first.
+taskSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TRASH_RETENTION_DAYS * 24 * 60 * 60 });
+
+// What recordTaskChanges() compares the next save against.
+taskSchema.post('init', function () {
+    snapshotTask(this);
+});
+
+// Trashed tasks are left out of every query that doesn't ask about
+// `deletedAt` itself or set the `includeTrashed` option.
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    if (this.getOptions().includeTrashed || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+});
+
+// Sync changes set `$locals.changedAt` to when the client made the edit;
+// everything else changes now. Bulk updates go through taskFieldUpdate().
+taskSchema.pre('save', function () {
+    if (this.isNew) return;
+
+    const changedAt = this.$locals.changedAt || new Date();
+    const changed = SYNCED_TASK_FIELDS.filter(field => this.isModified(field));
+
+    changed.forEach(field => this.fieldClocks.set(field, changedAt));
+    if (changed.length > 0) this.version += 1;
+});
+
 const userSchema = new mongoose.Schema({
     name: { 
         type: String, 
@@ -88,16 +268,211 @@ const userSchema = new mongoose.Schema({
         type: String, 
         required: true,
         minlength: 6
+    },
+    // Optional; only a verified address can receive password resets.
+    email: { type: String, trim: true, lowercase: true },
+    emailVerified: { type: Boolean, default: false },
+    settings: {
+        timezone: { type: String, default: 'UTC' },
+        autoCompleteTasks: { type: Boolean, default: true },
+        rolloverTasks: { type: Boolean, default: true },
+        focusMinutes: { type: Number, default: DEFAULT_DURATIONS.focus / 60 },
+        shortBreakMinutes: { type: Number, default: DEFAULT_DURATIONS.short_break / 60 },
+        longBreakMinutes: { type: Number, default: DEFAULT_DURATIONS.long_break / 60 },
+        // Every this many completed focus blocks, the timer suggests a long break.
+        longBreakInterval: { type: Number, default: 4 },
+        autoStartBreaks: { type: Boolean, default: false },
+        autoStartFocus: { type: Boolean, default: false },
+        // Goals count completed focus blocks or focus minutes; 0 means no goal.
+        dailyGoal: { type: Number, default: 8 },
+        dailyGoalMetric: { type: String, enum: GOAL_METRICS, default: 'pomodoros' },
+        weeklyGoal: { type: Number, default: 0 },
+        weeklyGoalMetric: { type: String, enum: GOAL_METRICS, default: 'minutes' }
     }
 }, { timestamps: true });
 
+// Unverified addresses may repeat, so nobody can squat on someone else's.
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { emailVerified: true } });
+
+// A Record is one completed (or abandoned) timer block. Durations are in
+// seconds. Records written before these fields existed only have `user` and
+// `createdAt`; treat those as uninterrupted 25-minute focus blocks.
 const recordSchema = new mongoose.Schema({
-    user: { type:  String, required: true }
+    user: { type:  String, required: true },
+    kind: { type: String, enum: RECORD_KINDS, default: 'focus' },
+    startedAt: Date,
+    endedAt: Date,
+    plannedDuration: { type: Number, min: 0 },
+    actualDuration: { type: Number, min: 0 },
+    interrupted: { type: Boolean, default: false },
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+    subtaskId: mongoose.Schema.Types.ObjectId,
+    // Copied from the task when recorded, so reports keep attributing past
+    // focus time to the project the task belonged to at the time.
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' }
+}, { timestamps: true });
+
+recordSchema.index({ user: 1, endedAt: 1 });
+recordSchema.index({ user: 1, updatedAt: 1 });
+
+const projectSchema = new mongoose.Schema({
+    user: { type: String, required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    color: { type: String, default: DEFAULT_PROJECT_COLOR },
+    archived: { type: Boolean, default: false }
+}, { timestamps: true });
+
+projectSchema.index({ user: 1, updatedAt: 1 });
+
+// One running (or idle) timer per user, shared by all of their devices.
+// Remaining time is derived from timestamps rather than ticked down:
+// `elapsedMs` banks the running time before the last resume.
+const timerSchema = new mongoose.Schema({
+    user: { type: String, required: true, unique: true },
+    state: { type: String, enum: TIMER_STATES, default: 'idle' },
+    kind: { type: String, enum: RECORD_KINDS, default: 'focus' },
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+    plannedDuration: { type: Number, default: DEFAULT_DURATIONS.focus },
+    startedAt: { type: Date, default: null },
+    resumedAt: { type: Date, default: null },
+    elapsedMs: { type: Number, default: 0 },
+    focusCount: { type: Number, default: 0 }
+}, { timestamps: true, optimisticConcurrency: true });
+
+// Only a SHA-256 hash of the session token is stored, so a leaked
+// database dump can't be replayed as cookies.
+const sessionSchema = new mongoose.Schema({
+    user: { type: String, required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Personal access tokens for non-browser clients. Like sessions, only the
+// hash is stored; `prefix` lets users tell their tokens apart in listings.
+const accessTokenSchema = new mongoose.Schema({
+    user: { type: String, required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    tokenHash: { type: String, required: true, unique: true },
+    prefix: { type: String, required: true },
+    scopes: [{ type: String, enum: ACCESS_TOKEN_SCOPES }],
+    lastUsedAt: Date,
+    expiresAt: Date
+}, { timestamps: true });
+
+accessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Single-use tokens sent by mail (password resets, email verification).
+// Hashed like sessions and deleted as soon as they are redeemed.
+const mailTokenSchema = new mongoose.Schema({
+    user: { type: String, required: true, index: true },
+    purpose: { type: String, enum: MAIL_TOKEN_PURPOSES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // The address a verification token was sent to.
+    email: String,
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+mailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Counters for the Mongo rate limit store (RATE_LIMIT_STORE=mongo), shared
+// by every instance of the API.
+const rateLimitSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const teamMemberSchema = new mongoose.Schema({
+    user: { type: String, required: true },
+    role: { type: String, enum: TEAM_ROLES, default: 'member' },
+    // Opt-in: only members who share their report appear in the team's.
+    shareReport: { type: Boolean, default: false },
+    joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const teamSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    // In the order they joined.
+    members: [teamMemberSchema]
 }, { timestamps: true });
 
+teamSchema.index({ 'members.user': 1 });
+
+const teamInviteSchema = new mongoose.Schema({
+    team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+    // The invited user.
+    user: { type: String, required: true },
+    invitedBy: { type: String, required: true },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+teamInviteSchema.index({ team: 1, user: 1 }, { unique: true });
+teamInviteSchema.index({ user: 1 });
+teamInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Append-only history of a user's tasks and account. Task entries keep
+// the task's name, so they still read well once the task is gone.
+const activitySchema = new mongoose.Schema({
+    user: { type: String, required: true },
+    type: { type: String, enum: ACTIVITY_TYPES, required: true },
+    taskId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    taskName: String,
+    // Who made the change. Differs from `user` on a team's tasks.
+    actor: String,
+    // Type-specific details, e.g. { from, to } for a rename.
+    data: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+activitySchema.index({ user: 1, _id: -1 });
+activitySchema.index({ user: 1, taskId: 1, _id: -1 });
+
+// Responses to requests sent with an Idempotency-Key, replayed on retries.
+// `body` is serialized JSON, and unset while the request is in progress.
+const idempotencyKeySchema = new mongoose.Schema({
+    user: { type: String, required: true },
+    key: { type: String, required: true },
+    fingerprint: { type: String, required: true },
+    statusCode: { type: Number },
+    body: { type: String },
+    expiresAt: { type: Date, required: true }
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Deleted documents, so syncing clients learn about deletions.
+const tombstoneSchema = new mongoose.Schema({
+    user: { type: String, required: true },
+    kind: { type: String, enum: TOMBSTONE_KINDS, required: true },
+    docId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    deletedAt: { type: Date, default: Date.now }
+});
+
+tombstoneSchema.index({ user: 1, deletedAt: 1 });
+tombstoneSchema.index({ user: 1, docId: 1 });
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_TTL_SECONDS });
+
 const Task = mongoose.model('Task', taskSchema);
 const User = mongoose.model('User', userSchema);
 const Record = mongoose.model('Record', recordSchema);
+const Project = mongoose.model('Project', projectSchema);
+const Timer = mongoose.model('Timer', timerSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+const MailToken = mongoose.model('MailToken', mailTokenSchema);
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+const Activity = mongoose.model('Activity', activitySchema);
+const Team = mongoose.model('Team', teamSchema);
+const TeamInvite = mongoose.model('TeamInvite', teamInviteSchema);
 
 // ============================================
 // MIDDLEWARE - AUTHENTICATION
@@ -105,14 +480,42 @@ const Record = mongoose.model('Record', recordSchema);
 
 const requireAuth = async (req, res, next) => {
     try {
-        if (!req.cookies.user) {
+        const authorization = req.get('authorization');
+
+        if (authorization) {
+            const [scheme, token] = authorization.split(' ');
+            const accessToken = scheme === 'Bearer' ? await findAccessToken(token) : null;
+
+            if (!accessToken) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid access token'
+                });
+            }
+
+            await touchAccessToken(accessToken);
+
+            req.userId = accessToken.user;
+            req.authToken = accessToken;
+            return next();
+        }
+
+        const session = await findSession(req.cookies.session);
+
+        if (!session) {
+            if (req.cookies.session) {
+                res.clearCookie('session', sessionCookieOptions());
+            }
             return res.status(401).json({
                 success: false,
                 error: 'Authentication required'
             });
         }
-        
-        req.userId = req.cookies.user;
+
+        await touchSession(req, res, session);
+
+        req.userId = session.user;
+        req.authSession = session;
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
@@ -123,6 +526,135 @@ const requireAuth = async (req, res, next) => {
     }
 };
 
+// Cookie sessions carry every scope; access tokens only what they were minted with.
+const requireScope = (scope) => (req, res, next) => {
+    if (req.authToken && !req.authToken.scopes.includes(scope)) {
+        return res.status(403).json({
+            success: false,
+            error: `Access token is missing the ${scope} scope`
+        });
+    }
+    next();
+};
+
+// Account-level routes (sessions, tokens) are off limits to access tokens.
+const requireSession = (req, res, next) => {
+    if (!req.authSession) {
+        return res.status(403).json({
+            success: false,
+            error: 'This route requires a browser session'
+        });
+    }
+    next();
+};
+
+// Loads the team in :id into req.team, for its members only. With
+// role 'owner', other members are turned away too.
+const requireTeam = (role) => async (req, res, next) => {
+    try {
+        const team = await findTeam(req.userId, req.params.id);
+
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                error: 'Team not found'
+            });
+        }
+
+        if (role === 'owner' && !isTeamOwner(team, req.userId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Only team owners can do this'
+            });
+        }
+
+        req.team = team;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ============================================
+// MIDDLEWARE - IDEMPOTENCY
+// ============================================
+
+// Authenticated POST/PATCH/DELETE requests may carry an Idempotency-Key
+// header. The first request with a key runs as usual and its response is
+// kept; retries with the same key get that response again, marked
+// Idempotent-Replayed. Reusing a key for a different request, or while the
+// first is still running, is a 409. Server errors aren't kept, so those
+// requests can be retried.
+//
+// Routes list this after their auth checks, so a refused request isn't
+// kept. The /auth routes leave it out: their responses can hold secrets,
+// such as a new access token, that mustn't be stored.
+const idempotent = async (req, res, next) => {
+    const key = req.get('idempotency-key');
+
+    if (key === undefined || !IDEMPOTENT_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    try {
+        if (!key || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+            });
+        }
+
+        const fingerprint = requestFingerprint(req);
+        const claimed = await claimIdempotencyKey(req.userId, key, fingerprint);
+
+        if (claimed.entry) {
+            return replayIdempotentResponse(res, claimed.entry, fingerprint);
+        }
+
+        keepIdempotentResponse(res, claimed.id);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// ============================================
+// MIDDLEWARE - RATE LIMITING
+// ============================================
+
+// Per-IP budgets for unauthenticated routes. Failed logins also lock the
+// account being guessed at (see recordLoginFailure).
+const limitLogins = rateLimit('login', 20, 15 * 60 * 1000);
+const limitSignups = rateLimit('signup', 5, 60 * 60 * 1000);
+const limitPasswordResets = rateLimit('password-reset', 5, 60 * 60 * 1000);
+
+// ============================================
+// MIDDLEWARE - API VERSIONING
+// ============================================
+
+// The verb-style routes (and GET routes that change state) predate /api/v1.
+// They keep answering as before, but carry a Deprecation header (RFC 9745)
+// and, where there is one, a Link to the /api/v1 route replacing them. A
+// route serving both paths (['/api/v1/timer', '/timer']) only marks
+// requests to the old one.
+const LEGACY_DEPRECATED_AT = Date.parse('2026-10-19T00:00:00Z');
+
+const deprecated = (successor) => (req, res, next) => {
+    if (req.path.startsWith('/api/v1/')) return next();
+
+    res.set('Deprecation', `@${Math.floor(LEGACY_DEPRECATED_AT / 1000)}`);
+
+    if (successor) {
+        const url = successor.replace(/:(\w+)/g, (match, name) => {
+            const value = req.params[name] || req.query[name];
+            return typeof value === 'string' ? encodeURIComponent(value) : match;
+        });
+        res.set('Link', `<${url}>; rel="successor-version"`);
+    }
+
+    next();
+};
+
 // ============================================
 // ROUTES - HEALTH CHECK
 // ============================================
@@ -149,7 +681,7 @@ app.get('/health', (req, res) => {
 // ============================================
 
 // ✅ POST LOGIN (proper method)
-app.post('/login', async (req, res) => {
+app.post('/login', limitLogins, async (req, res) => {
     try {
         const { name, password } = req.body;
 
@@ -160,9 +692,16 @@ app.post('/login', async (req, res) => {
             });
         }
 
+        const lockedFor = await loginLockRemaining(name);
+
+        if (lockedFor > 0) {
+            return sendRateLimited(res, lockedFor, 'Too many failed login attempts. Try again later.');
+        }
+
         const user = await User.findOne({ name });
         
         if (!user) {
+            await recordLoginFailure(name, req);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -172,21 +711,16 @@ app.post('/login', async (req, res) => {
         const isMatch = await bcrypt. compare(password, user.password);
         
         if (!isMatch) {
+            await recordLoginFailure(name, req);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
 
-        const expires = new Date();
-        expires.setHours(expires.getHours() + 24);
-        
-        res.cookie('user', user._id. toString(), {
-            expires: expires,
-            httpOnly: true,
-            secure: process. env.NODE_ENV === 'production',
-            sameSite:  process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-        });
+        await clearLoginFailures(name);
+        await startSession(req, res, user);
+        await recordAccountActivity(user._id.toString(), 'account.login', req);
 
         console.log(`✅ User logged in (POST): ${user.name}`);
 
@@ -207,7 +741,7 @@ app.post('/login', async (req, res) => {
 });
 
 // ✅ GET LOGIN (legacy support)
-app.get('/login', async (req, res) => {
+app.get('/login', deprecated(), limitLogins, async (req, res) => {
     try {
         const { name, password } = req.query;
 
@@ -218,9 +752,16 @@ app.get('/login', async (req, res) => {
             });
         }
 
+        const lockedFor = await loginLockRemaining(name);
+
+        if (lockedFor > 0) {
+            return sendRateLimited(res, lockedFor, 'Too many failed login attempts. Try again later.');
+        }
+
         const user = await User.findOne({ name });
         
         if (!user) {
+            await recordLoginFailure(name, req);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
@@ -230,21 +771,16 @@ app.get('/login', async (req, res) => {
         const isMatch = await bcrypt.compare(password, user.password);
         
         if (!isMatch) {
+            await recordLoginFailure(name, req);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid credentials'
             });
         }
 
-        const expires = new Date();
-        expires.setHours(expires. getHours() + 24);
-        
-        res.cookie('user', user._id.toString(), {
-            expires: expires,
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env. NODE_ENV === 'production' ? 'none' : 'lax'
-        });
+        await clearLoginFailures(name);
+        await startSession(req, res, user);
+        await recordAccountActivity(user._id.toString(), 'account.login', req);
 
         console.log(`✅ User logged in (GET): ${user.name}`);
 
@@ -265,7 +801,7 @@ app.get('/login', async (req, res) => {
 });
 
 // ✅ POST SIGNUP (proper method)
-app.post('/signup', async (req, res) => {
+app.post('/signup', limitSignups, async (req, res) => {
     try {
         const { name, password } = req. body;
 
@@ -308,15 +844,8 @@ app.post('/signup', async (req, res) => {
 
         await user.save();
 
-        const expires = new Date();
-        expires.setHours(expires.getHours() + 24);
-        
-        res.cookie('user', user._id.toString(), {
-            expires: expires,
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
-        });
+        await startSession(req, res, user);
+        await recordAccountActivity(user._id.toString(), 'account.signup', req);
 
         console.log(`✅ New user created (POST): ${user.name}`);
 
@@ -337,7 +866,7 @@ app.post('/signup', async (req, res) => {
 });
 
 // ✅ GET SIGNUP (legacy support)
-app.get('/signup', async (req, res) => {
+app.get('/signup', deprecated(), limitSignups, async (req, res) => {
     try {
         const { name, password } = req. query;
 
@@ -380,15 +909,8 @@ app.get('/signup', async (req, res) => {
 
         await user.save();
 
-        const expires = new Date();
-        expires.setHours(expires. getHours() + 24);
-        
-        res.cookie('user', user._id.toString(), {
-            expires: expires,
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env. NODE_ENV === 'production' ? 'none' : 'lax'
-        });
+        await startSession(req, res, user);
+        await recordAccountActivity(user._id.toString(), 'account.signup', req);
 
         console.log(`✅ New user created (GET): ${user.name}`);
 
@@ -409,9 +931,12 @@ app.get('/signup', async (req, res) => {
 });
 
 // ✅ POST LOGOUT (proper method)
-app.post('/logout', (req, res) => {
+app.post('/logout', async (req, res) => {
     try {
-        res.clearCookie('user');
+        const session = await endSession(res, req.cookies.session);
+        if (session) {
+            await recordAccountActivity(session.user, 'account.logout', req);
+        }
         console.log('✅ User logged out (POST)');
         res.json({
             success: true
@@ -426,9 +951,12 @@ app.post('/logout', (req, res) => {
 });
 
 // ✅ GET LOGOUT (legacy support)
-app.get('/logout', (req, res) => {
+app.get('/logout', deprecated(), async (req, res) => {
     try {
-        res.clearCookie('user');
+        const session = await endSession(res, req.cookies.session);
+        if (session) {
+            await recordAccountActivity(session.user, 'account.logout', req);
+        }
         console.log('✅ User logged out (GET)');
         res.json({
             success: true
@@ -443,7 +971,7 @@ app.get('/logout', (req, res) => {
 });
 
 // CHECK AUTH STATUS
-app.get('/auth/status', requireAuth, async (req, res) => {
+app.get('/auth/status', deprecated('/api/v1/me'), requireAuth, async (req, res) => {
     try {
         const user = await User.findById(req. userId).select('-password');
         res.json({
@@ -451,8 +979,12 @@ app.get('/auth/status', requireAuth, async (req, res) => {
             authenticated: true,
             user: user ?  {
                 id: user._id,
-                name: user.name
-            } : null
+                name: user.name,
+                email: user.email || null,
+                emailVerified: user.emailVerified
+            } : null,
+            session: req.authSession ? formatSession(req.authSession, req.authSession) : null,
+            token: req.authToken ? formatAccessToken(req.authToken) : null
         });
     } catch (error) {
         res.json({
@@ -462,434 +994,7201 @@ app.get('/auth/status', requireAuth, async (req, res) => {
     }
 });
 
-// ============================================
-// ROUTES - TASKS
-// ============================================
-
-// GET ALL TASKS
-app.get('/getTasks', requireAuth, async (req, res) => {
+// LIST ACTIVE SESSIONS (one per logged-in device)
+app.get('/auth/sessions', requireAuth, requireSession, async (req, res) => {
     try {
-        const tasks = await Task.find({
-            user: req.userId
-        }).sort({ createdAt: 1 });
-        
+        const sessions = await Session.find({
+            user: req.userId,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastSeenAt: -1 });
+
         res.json({
             success: true,
-            data: tasks
+            data: sessions.map(session => formatSession(session, req.authSession))
         });
     } catch (error) {
-        console.error('Error getting tasks:', error);
+        console.error('Error listing sessions:', error);
         res.status(500).json({
             success: false,
-            error:  'Failed to get tasks'
+            error: 'Failed to list sessions'
         });
     }
 });
 
-// ✅ POST ADD TASK (proper method)
-app.post('/addTask', requireAuth, async (req, res) => {
+// REVOKE ONE SESSION
+app.delete('/auth/sessions/:id', requireAuth, requireSession, async (req, res) => {
     try {
-        const { name, num } = req.body;
+        const { id } = req.params;
 
-        if (!name || !name.trim()) {
-            return res.status(400).json({
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({
                 success: false,
-                error: 'Task name is required'
+                error: 'Session not found'
             });
         }
 
-        const task = new Task({
-            name: name.trim(),
-            num: parseInt(num) || 1,
-            finish: 0,
-            user:  req.userId
+        const result = await Session.findOneAndDelete({
+            _id: id,
+            user: req.userId
         });
 
-        await task.save();
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
 
-        const tasks = await Task.find({
-            user: req.userId
-        }).sort({ createdAt: 1 });
+        if (result._id.equals(req.authSession._id)) {
+            res.clearCookie('session', sessionCookieOptions());
+        }
+        closeSessionEventClients(req.userId, [result._id]);
 
-        console.log(`✅ Task created (POST): ${task.name}`);
+        console.log(`✅ Session revoked: ${result._id}`);
 
-        res.status(201).json({
-            success: true,
-            data: tasks
+        res.json({
+            success: true
         });
     } catch (error) {
-        console.error('Error adding task (POST):', error);
+        console.error('Error revoking session:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to add task'
+            error: 'Failed to revoke session'
         });
     }
 });
 
-// ✅ GET ADD TASK (legacy support)
-app.get('/addTask', requireAuth, async (req, res) => {
+// REVOKE ALL OTHER SESSIONS
+app.delete('/auth/sessions', requireAuth, requireSession, async (req, res) => {
     try {
-        const { name, num } = req. query;
+        const result = await revokeOtherSessions(req.userId, req.authSession._id);
 
-        if (!name || !name.trim()) {
-            return res.status(400).json({
-                success: false,
-                error: 'Task name is required'
-            });
-        }
+        console.log(`✅ Revoked ${result.deletedCount} other session(s)`);
 
-        const task = new Task({
-            name: name.trim(),
-            num: parseInt(num) || 1,
-            finish:  0,
-            user: req.userId
+        res.json({
+            success: true,
+            revoked: result.deletedCount
         });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke sessions'
+        });
+    }
+});
 
-        await task.save();
-
-        const tasks = await Task.find({
+// LIST ACCESS TOKENS
+app.get('/auth/tokens', requireAuth, requireSession, async (req, res) => {
+    try {
+        const tokens = await AccessToken.find({
             user: req.userId
-        }).sort({ createdAt: 1 });
-
-        console.log(`✅ Task created (GET): ${task.name}`);
+        }).sort({ createdAt: -1 });
 
-        res.status(201).json({
+        res.json({
             success: true,
-            data: tasks
+            data: tokens.map(formatAccessToken)
         });
     } catch (error) {
-        console.error('Error adding task (GET):', error);
+        console.error('Error listing access tokens:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to add task'
+            error: 'Failed to list access tokens'
         });
     }
 });
 
-// ✅ PATCH UPDATE TASK (proper method)
-app.patch('/updateTask/:id', requireAuth, async (req, res) => {
+// MINT ACCESS TOKEN (the plain token is only ever returned here)
+app.post('/auth/tokens', requireAuth, requireSession, async (req, res) => {
     try {
-        const { finish } = req.body;
-        const { id } = req.params;
+        const { name, scopes, expiresInDays } = req.body;
 
-        if (finish === undefined) {
-            return res. status(400).json({
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({
                 success: false,
-                error:  'Finish value is required'
+                error: 'Token name is required'
             });
         }
 
-        const task = await Task.findOne({
-            _id: id,
-            user: req.userId
-        });
-
-        if (!task) {
-            return res.status(404).json({
+        if (!Array.isArray(scopes) || scopes.length === 0 ||
+            !scopes.every(scope => ACCESS_TOKEN_SCOPES.includes(scope))) {
+            return res.status(400).json({
                 success: false,
-                error: 'Task not found'
+                error: `Scopes must be a non-empty list of: ${ACCESS_TOKEN_SCOPES.join(', ')}`
             });
         }
 
-        task.finish = parseInt(finish);
-        await task.save();
+        let expiresAt;
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            const days = parseInt(expiresInDays);
+            if (!(days > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'expiresInDays must be a positive number'
+                });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
 
-        const tasks = await Task.find({
-            user: req.userId
-        }).sort({ createdAt: 1 });
+        const token = `orb_${crypto.randomBytes(32).toString('base64url')}`;
 
-        console.log(`✅ Task updated (PATCH): ${task.name}`);
+        const accessToken = await AccessToken.create({
+            user: req.userId,
+            name: name.trim(),
+            tokenHash: hashToken(token),
+            prefix: token.slice(0, 10),
+            scopes: [...new Set(scopes)],
+            expiresAt
+        });
 
-        res.json({
+        console.log(`✅ Access token created: ${accessToken.name}`);
+
+        res.status(201).json({
             success: true,
-            data: tasks
+            token,
+            data: formatAccessToken(accessToken)
         });
     } catch (error) {
-        console.error('Error updating task (PATCH):', error);
+        console.error('Error creating access token:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update task'
+            error: 'Failed to create access token'
         });
     }
 });
 
-// ✅ GET UPDATE TASK (legacy support)
-app.get('/updateTask', requireAuth, async (req, res) => {
+// REVOKE ACCESS TOKEN
+app.delete('/auth/tokens/:id', requireAuth, requireSession, async (req, res) => {
     try {
-        const { id, finish } = req.query;
+        const { id } = req.params;
 
-        if (!id || finish === undefined) {
-            return res.status(400).json({
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({
                 success: false,
-                error: 'ID and finish value are required'
+                error: 'Access token not found'
             });
         }
 
-        const task = await Task. findOne({
-            _id:  id,
-            user: req. userId
+        const result = await AccessToken.findOneAndDelete({
+            _id: id,
+            user: req.userId
         });
 
-        if (!task) {
-            return res. status(404).json({
+        if (!result) {
+            return res.status(404).json({
                 success: false,
-                error:  'Task not found'
+                error: 'Access token not found'
             });
         }
 
-        task. finish = parseInt(finish);
-        await task.save();
+        const tokenId = result._id.toString();
+        closeEventClients(req.userId, client => client.tokenId === tokenId);
 
-        const tasks = await Task.find({
-            user: req.userId
-        }).sort({ createdAt: 1 });
-
-        console.log(`✅ Task updated (GET): ${task.name}`);
+        console.log(`✅ Access token revoked: ${result.name}`);
 
         res.json({
-            success: true,
-            data: tasks
+            success: true
         });
     } catch (error) {
-        console.error('Error updating task (GET):', error);
+        console.error('Error revoking access token:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to update task'
+            error: 'Failed to revoke access token'
         });
     }
 });
 
-// ✅ DELETE TASK (proper method)
-app.delete('/deleteTask/:id', requireAuth, async (req, res) => {
+// ============================================
+// ROUTES - ACCOUNT
+// ============================================
+
+// CHANGE PASSWORD
+// Body: { currentPassword, newPassword }. Every other session is signed
+// out and every access token revoked, since either may have been what a
+// leaked password was used to obtain; the session making the change stays
+// logged in.
+app.post('/auth/password', requireAuth, requireSession, async (req, res) => {
     try {
-        const { id } = req.params;
+        const { currentPassword, newPassword } = req.body;
 
-        const result = await Task.findOneAndDelete({
-            _id: id,
-            user: req.userId
-        });
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Current and new password are required'
+            });
+        }
 
-        if (!result) {
+        if (typeof newPassword !== 'string' || newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password must be at least 6 characters'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+
+        if (!user) {
             return res.status(404).json({
                 success: false,
-                error: 'Task not found'
+                error: 'User not found'
             });
         }
 
-        const tasks = await Task.find({
-            user: req.userId
-        }).sort({ createdAt: 1 });
+        if (!await checkPassword(user, currentPassword)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid credentials'
+            });
+        }
 
-        console.log(`✅ Task deleted (DELETE): ${result.name}`);
+        user.password = await bcrypt.hash(newPassword, 10);
+        await user.save();
+
+        const result = await revokeOtherSessions(req.userId, req.authSession._id);
+        const tokens = await revokeAccessTokens(req.userId);
+
+        console.log(`✅ Password changed: ${user.name} (${result.deletedCount} other session(s), ${tokens.deletedCount} token(s) revoked)`);
 
         res.json({
             success: true,
-            data: tasks
+            revoked: result.deletedCount,
+            tokensRevoked: tokens.deletedCount
         });
     } catch (error) {
-        console.error('Error deleting task (DELETE):', error);
+        console.error('Error changing password:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to delete task'
+            error: 'Failed to change password'
         });
     }
 });
 
-// ✅ GET DELETE TASK (legacy support)
-app.get('/deleteTask', requireAuth, async (req, res) => {
+// RENAME ACCOUNT
+// Body: { name }
+app.patch('/auth/account', requireAuth, requireSession, async (req, res) => {
     try {
-        const { id } = req.query;
+        const result = await renameUser(req.userId, req.body.name);
 
-        const result = await Task.findOneAndDelete({
-            _id: id,
-            user: req.userId
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            user: {
+                id: result.value._id,
+                name: result.value.name
+            }
+        });
+    } catch (error) {
+        console.error('Error renaming account:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rename account'
         });
+    }
+});
 
-        if (!result) {
-            return res.status(404).json({
+// DELETE ACCOUNT
+// Body: { password }. Permanently deletes the user together with all of
+// their tasks, records, projects, timer, sessions and access tokens.
+app.delete('/auth/account', requireAuth, requireSession, async (req, res) => {
+    try {
+        const result = await deleteUser(req.userId, req.body.password);
+
+        if (result.error) {
+            return res.status(result.status).json({
                 success: false,
-                error: 'Task not found'
+                error: result.error
             });
         }
 
-        const tasks = await Task.find({
-            user: req.userId
-        }).sort({ createdAt: 1 });
-
-        console.log(`✅ Task deleted (GET): ${result.name}`);
+        await endSession(res, req.cookies.session);
 
         res.json({
             success: true,
-            data: tasks
+            deleted: result.value
         });
     } catch (error) {
-        console.error('Error deleting task (GET):', error);
+        console.error('Error deleting account:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to delete task'
+            error: 'Failed to delete account'
         });
     }
 });
 
-// ✅ DELETE ALL TASKS (proper method)
-app.delete('/deleteAll', requireAuth, async (req, res) => {
+// ============================================
+// ROUTES - EMAIL & PASSWORD RESET
+// ============================================
+
+// SET EMAIL (sends a verification link; an empty email removes it)
+// Body: { email }
+app.post('/auth/email', requireAuth, requireSession, async (req, res) => {
     try {
-        await Task.deleteMany({
-            user: req.userId
-        });
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
 
-        console.log(`✅ All tasks deleted (DELETE)`);
+        if (email && !isEmail(email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'email must be a valid email address'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (email && email === user.email && user.emailVerified) {
+            return res.json({
+                success: true,
+                email: user.email,
+                emailVerified: true
+            });
+        }
+
+        if (email) {
+            const existingUser = await User.findOne({ email, emailVerified: true, _id: { $ne: user._id } });
+
+            if (existingUser) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Email already in use'
+                });
+            }
+        }
+
+        user.email = email || undefined;
+        user.emailVerified = false;
+        await user.save();
+        await MailToken.deleteMany({ user: req.userId, purpose: 'verify_email' });
+
+        if (email) {
+            const token = await issueMailToken(req.userId, 'verify_email', EMAIL_VERIFY_TTL_MS, email);
+            await sendMail({
+                to: email,
+                subject: 'Verify your Orbit email address',
+                text: `Hi ${user.name},\n\n`
+                    + `Confirm this address for your Orbit account by opening:\n${APP_URL}/verify-email?token=${token}\n\n`
+                    + 'The link expires in 24 hours.'
+            });
+        }
+
+        console.log(`✅ Email ${email ? 'set' : 'removed'}: ${user.name}`);
 
         res.json({
             success: true,
-            data: []
+            email: user.email || null,
+            emailVerified: false
         });
     } catch (error) {
-        console.error('Error deleting all tasks (DELETE):', error);
+        console.error('Error setting email:', error);
         res.status(500).json({
             success: false,
-            error:  'Failed to delete all tasks'
+            error: 'Failed to set email'
         });
     }
 });
 
-// ✅ GET DELETE ALL (legacy support)
-app.get('/deleteAll', requireAuth, async (req, res) => {
+// VERIFY EMAIL
+// Body: { token } from the verification mail. No login needed.
+app.post('/auth/email/verify', async (req, res) => {
     try {
-        await Task.deleteMany({
-            user: req. userId
-        });
+        const mailToken = await redeemMailToken(req.body.token, 'verify_email');
 
-        console.log(`✅ All tasks deleted (GET)`);
+        if (!mailToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired token'
+            });
+        }
+
+        const user = await User.findById(mailToken.user);
+
+        if (!user || user.email !== mailToken.email) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired token'
+            });
+        }
+
+        user.emailVerified = true;
+        await user.save();
+
+        console.log(`✅ Email verified: ${user.name}`);
 
         res.json({
             success: true,
-            data: []
+            email: user.email,
+            emailVerified: true
         });
     } catch (error) {
-        console.error('Error deleting all tasks (GET):', error);
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'Email already in use'
+            });
+        }
+        console.error('Error verifying email:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to delete all tasks'
+            error: 'Failed to verify email'
         });
     }
 });
 
-// ============================================
-// ROUTES - RECORDS
-// ============================================
-
-// ✅ POST ADD RECORD (proper method)
-app.post('/recordAdd', requireAuth, async (req, res) => {
+// REQUEST PASSWORD RESET
+// Body: { email } or { name }, not both. Always succeeds, so the response doesn't
+// reveal which accounts exist or have a verified email.
+app.post('/auth/password/forgot', limitPasswordResets, async (req, res) => {
     try {
-        const record = new Record({
-            user: req.userId
-        });
-        
-        await record.save();
+        const { email, name } = req.body;
+        const given = [email, name].filter(value => value !== undefined);
 
-        console.log(`✅ Pomodoro record added (POST)`);
+        if (given.length !== 1 || typeof given[0] !== 'string' || !given[0].trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Exactly one of email or name is required'
+            });
+        }
 
-        res.status(201).json({
+        const user = email !== undefined
+            ? await User.findOne({ email: email.trim().toLowerCase(), emailVerified: true })
+            : await User.findOne({ name, emailVerified: true });
+
+        if (user) {
+            const token = await issueMailToken(user._id.toString(), 'password_reset', PASSWORD_RESET_TTL_MS);
+            // Not awaited: how long the mail takes, or whether it fails,
+            // must not show in the response.
+            sendMail({
+                to: user.email,
+                subject: 'Reset your Orbit password',
+                text: `Hi ${user.name},\n\n`
+                    + `Someone asked to reset your Orbit password. To choose a new one, open:\n${APP_URL}/reset-password?token=${token}\n\n`
+                    + 'The link expires in 1 hour and works once. If this wasn\'t you, ignore this mail.'
+            }).catch(error => console.error('Error sending password reset mail:', error));
+            console.log(`✅ Password reset requested: ${user.name}`);
+        }
+
+        res.json({
             success: true
         });
     } catch (error) {
-        console.error('Error recordAdd (POST):', error);
+        console.error('Error requesting password reset:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to add record'
+            error: 'Failed to request password reset'
         });
     }
 });
 
-// ✅ GET ADD RECORD (legacy support)
-app.get('/recordAdd', requireAuth, async (req, res) => {
+// RESET PASSWORD
+// Body: { token, newPassword }. Signs the user out everywhere, revokes
+// their access tokens and lifts any login lockout.
+app.post('/auth/password/reset', async (req, res) => {
     try {
-        const record = new Record({
-            user: req.userId
-        });
-        
-        await record. save();
+        const { token, newPassword } = req.body;
+
+        if (typeof newPassword !== 'string' || newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password must be at least 6 characters'
+            });
+        }
 
-        console.log(`✅ Pomodoro record added (GET)`);
+        const mailToken = await redeemMailToken(token, 'password_reset');
+        const user = mailToken && await User.findById(mailToken.user);
 
-        res.status(201).json({
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired token'
+            });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        await user.save();
+        await Session.deleteMany({ user: mailToken.user });
+        closeEventClients(mailToken.user, client => client.sessionId !== null);
+        await revokeAccessTokens(mailToken.user);
+        // Someone locked out by failed logins can sign in with the new password.
+        await clearLoginFailures(user.name);
+
+        console.log(`✅ Password reset: ${user.name}`);
+
+        res.json({
             success: true
         });
     } catch (error) {
-        console.error('Error recordAdd (GET):', error);
+        console.error('Error resetting password:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to add record'
+            error: 'Failed to reset password'
         });
     }
 });
 
-// GET REPORT
-app.get('/report', requireAuth, async (req, res) => {
+// ============================================
+// ROUTES - SETTINGS
+// ============================================
+
+// GET SETTINGS (also at /api/v1/me/settings)
+app.get(['/settings', '/api/v1/me/settings'], requireAuth, async (req, res) => {
     try {
-        const oneWeekAgo = new Date();
-        oneWeekAgo. setDate(oneWeekAgo.getDate() - 7);
+        const user = await User.findById(req.userId).select('settings');
 
-        const reportData = await Record.aggregate([
-            {
-                $match: {
-                    user: req.userId,
-                    createdAt: { $gte: oneWeekAgo }
-                }
-            },
-            {
-                $group:  {
-                    _id: {
-                        $dateToString: {
-                            format: '%Y-%m-%d',
-                            date: '$createdAt'
-                        }
-                    },
-                    recordCount: { $sum: 1 }
-                }
-            },
-            {
-                $sort:  { _id: 1 }
-            }
-        ]);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
 
-        const days = generateDateRange(7);
-        const results = days.map(date => {
-            const record = reportData.find(r => r._id === date);
-            return {
-                date: date,
-                recordCount: record ? record.recordCount : 0
-            };
+        res.json({
+            success: true,
+            data: formatSettings(user.settings)
+        });
+    } catch (error) {
+        console.error('Error getting settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get settings'
         });
+    }
+});
 
-        res.json({ 
-            success: true, 
-            data: results 
+// UPDATE SETTINGS (only the fields sent are changed)
+app.patch(['/settings', '/api/v1/me/settings'], requireAuth, requireSession, idempotent, async (req, res) => {
+    try {
+        const parsed = parseSettingsInput(req.body);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        Object.assign(user.settings, parsed.value);
+        await user.save();
+
+        console.log(`✅ Settings updated: ${Object.keys(parsed.value).join(', ')}`);
+
+        res.json({
+            success: true,
+            data: formatSettings(user.settings)
         });
     } catch (error) {
-        console.error('Error getting report:', error);
-        res.status(500).json({ 
-            success: false, 
-            error: 'Failed to get report'
+        console.error('Error updating settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update settings'
         });
     }
 });
 
 // ============================================
-// HELPER FUNCTIONS
+// ROUTES - REAL-TIME EVENTS
 // ============================================
 
-function generateDateRange(days = 7) {
-    const dates = [];
-    const today = new Date();
+// SUBSCRIBE TO EVENTS (Server-Sent Events)
+// Streams task, record and timer changes made from any of the user's
+// clients, and changes any member makes to their teams' tasks. Access
+// tokens only receive events their scopes can read.
+app.get('/events', requireAuth, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+    // The credential is kept so revoking it can end the stream too.
+    const client = {
+        res,
+        scopes: req.authToken ? req.authToken.scopes : null,
+        sessionId: req.authSession ? req.authSession._id.toString() : null,
+        tokenId: req.authToken ? req.authToken._id.toString() : null
+    };
+    addEventClient(req.userId, client);
+
+    // Revoking a credential ends its streams right away; one that just runs
+    // out is caught here, on the next heartbeat.
+    const heartbeat = setInterval(async () => {
+        try {
+            const authorized = await eventClientAuthorized(client);
+            if (res.writableEnded) return;
+            if (!authorized) return res.end();
+            res.write(': heartbeat\n\n');
+        } catch (error) {
+            console.error('Error checking event stream:', error);
+        }
+    }, EVENT_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        removeEventClient(req.userId, client);
+    });
+});
+
+// ============================================
+// ROUTES - TASKS
+// ============================================
+
+// GET ALL TASKS
+// ?tree=true includes each task's subtasks (this works on every task route)
+// ?day=today|week|YYYY-MM-DD narrows the list to that day's (or this week's) plan
+// ?project=<id>|none narrows it to one project, or to tasks without one
+// ?status=all|active|completed|archived. Archived tasks, which include past
+//   instances of recurring tasks, are hidden by default; this route used to
+//   return every task, so clients relying on that should pass ?status=all.
+// Listing isn't read-only: it first rolls unfinished tasks over to today and
+// plans recurring tasks' next instances, as POST /api/v1/tasks/rollover
+// does; GET /api/v1/tasks only reads.
+app.get('/getTasks', deprecated('/api/v1/tasks'), requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
 
-    for (let i = days - 1; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(today.getDate() - i);
-        dates.push(date. toISOString().split('T')[0]);
+        const result = await queryTasks(req.userId, req.query, timeZone, { catchUp: true });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: formatTasks(result.value, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error getting tasks:', error);
+        res.status(500).json({
+            success: false,
+            error:  'Failed to get tasks'
+        });
     }
-    return dates;
+});
+
+// ✅ POST ADD TASK (proper method)
+app.post('/addTask', deprecated('/api/v1/tasks'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await createTask(req.userId, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const tasks = await listTasks(req.userId);
+
+        console.log(`✅ Task created (POST): ${result.value.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: formatTasks(tasks, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error adding task (POST):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add task'
+        });
+    }
+});
+
+// ✅ GET ADD TASK (legacy support)
+app.get('/addTask', deprecated('/api/v1/tasks'), requireAuth, requireScope('tasks:write'), async (req, res) => {
+    try {
+        const result = await createTask(req.userId, req.query);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const tasks = await listTasks(req.userId);
+
+        console.log(`✅ Task created (GET): ${result.value.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: formatTasks(tasks, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error adding task (GET):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add task'
+        });
+    }
+});
+
+// ✅ PATCH UPDATE TASK (proper method)
+// Accepts any subset of the task's editable fields.
+app.patch('/updateTask/:id', deprecated('/api/v1/tasks/:id'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await updateTask(req.userId, req.params.id, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const tasks = await listTasks(req.userId);
+
+        console.log(`✅ Task updated (PATCH): ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: formatTasks(tasks, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error updating task (PATCH):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update task'
+        });
+    }
+});
+
+// ✅ GET UPDATE TASK (legacy support)
+app.get('/updateTask', deprecated('/api/v1/tasks/:id'), requireAuth, requireScope('tasks:write'), async (req, res) => {
+    try {
+        const result = await updateTask(req.userId, req.query.id, req.query);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const tasks = await listTasks(req.userId);
+
+        console.log(`✅ Task updated (GET): ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: formatTasks(tasks, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error updating task (GET):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update task'
+        });
+    }
+});
+
+// GET RECURRING TASK HISTORY (every instance of the task's series, newest first)
+app.get(['/api/v1/tasks/:id/series', '/getTaskHistory/:id'], deprecated('/api/v1/tasks/:id/series'), requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const task = await findTask(req.userId, req.params.id);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const instances = task.seriesId ? await Task.find({
+            user: task.user,
+            seriesId: task.seriesId
+        }).sort({ day: -1, createdAt: -1 }) : [task];
+
+        res.json({
+            success: true,
+            recurrence: task.recurrence,
+            totals: {
+                instances: instances.length,
+                completed: instances.filter(instance => instance.status === 'completed' || instance.completedAt).length,
+                finish: instances.reduce((sum, instance) => sum + instance.finish, 0)
+            },
+            data: instances.map(instance => ({
+                id: instance._id,
+                day: instance.day,
+                num: instance.num,
+                finish: instance.finish,
+                status: instance.status,
+                completedAt: instance.completedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting task history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get task history'
+        });
+    }
+});
+
+// REORDER TASKS (bulk)
+// Body: { ids: [...] } in the desired order. Tasks left out keep their
+// relative order after the listed ones.
+app.post(['/api/v1/tasks/reorder', '/reorderTasks'], deprecated('/api/v1/tasks/reorder'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const { ids } = req.body;
+
+        if (!Array.isArray(ids) || ids.length === 0 || new Set(ids).size !== ids.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'ids must be a non-empty list of distinct task IDs'
+            });
+        }
+
+        const tasks = await listTasks(req.userId);
+        const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+
+        if (!ids.every(id => byId.has(String(id)))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        const listed = new Set(ids.map(String));
+        await saveTaskPositions([
+            ...ids.map(id => byId.get(String(id))),
+            ...tasks.filter(task => !listed.has(task._id.toString()))
+        ]);
+
+        publishEvent(req.userId, 'tasks.reordered', {}, 'tasks:read');
+
+        console.log(`✅ Tasks reordered (${ids.length})`);
+
+        res.json({
+            success: true,
+            data: formatTasks(await listTasks(req.userId), parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error reordering tasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder tasks'
+        });
+    }
+});
+
+// MOVE TASK before or after another task
+// Body: { before: id } or { after: id }
+app.patch(['/api/v1/tasks/:id/position', '/moveTask/:id'], deprecated('/api/v1/tasks/:id/position'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { before, after } = req.body;
+
+        if (!before === !after) {
+            return res.status(400).json({
+                success: false,
+                error: 'Exactly one of before or after is required'
+            });
+        }
+
+        const anchorId = String(before || after);
+
+        if (anchorId === id) {
+            return res.status(400).json({
+                success: false,
+                error: 'A task cannot be moved relative to itself'
+            });
+        }
+
+        const tasks = await listTasks(req.userId);
+        const task = tasks.find(item => item._id.toString() === id);
+        const others = tasks.filter(item => item !== task);
+        const anchorIndex = others.findIndex(item => item._id.toString() === anchorId);
+
+        if (!task || anchorIndex === -1) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        await placeTask(task, others, before ? anchorIndex : anchorIndex + 1);
+
+        publishEvent(req.userId, 'tasks.reordered', {}, 'tasks:read');
+
+        console.log(`✅ Task moved: ${task.name}`);
+
+        res.json({
+            success: true,
+            data: formatTasks(await listTasks(req.userId), parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error moving task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to move task'
+        });
+    }
+});
+
+// ✅ DELETE TASK (proper method)
+app.delete('/deleteTask/:id', deprecated('/api/v1/tasks/:id'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await deleteTask(req.userId, req.params.id);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const tasks = await listTasks(req.userId);
+
+        console.log(`✅ Task deleted (DELETE): ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: formatTasks(tasks, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error deleting task (DELETE):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete task'
+        });
+    }
+});
+
+// ✅ GET DELETE TASK (legacy support)
+app.get('/deleteTask', deprecated('/api/v1/tasks/:id'), requireAuth, requireScope('tasks:write'), async (req, res) => {
+    try {
+        const result = await deleteTask(req.userId, req.query.id);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const tasks = await listTasks(req.userId);
+
+        console.log(`✅ Task deleted (GET): ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: formatTasks(tasks, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error deleting task (GET):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete task'
+        });
+    }
+});
+
+// ✅ DELETE ALL TASKS (proper method)
+app.delete('/deleteAll', deprecated('/api/v1/tasks'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const { undoToken } = await deleteAllTasks(req.userId);
+
+        console.log(`✅ All tasks deleted (DELETE)`);
+
+        res.json({
+            success: true,
+            data: [],
+            undoToken
+        });
+    } catch (error) {
+        console.error('Error deleting all tasks (DELETE):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete all tasks'
+        });
+    }
+});
+
+// ✅ GET DELETE ALL (legacy support)
+app.get('/deleteAll', deprecated('/api/v1/tasks'), requireAuth, requireScope('tasks:write'), async (req, res) => {
+    try {
+        const { undoToken } = await deleteAllTasks(req.userId);
+
+        console.log(`✅ All tasks deleted (GET)`);
+
+        res.json({
+            success: true,
+            data: [],
+            undoToken
+        });
+    } catch (error) {
+        console.error('Error deleting all tasks (GET):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete all tasks'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - SUBTASKS
+// ============================================
+
+// Subtask routes respond with the parent task in tree shape. Each serves
+// its /api/v1/tasks/:taskId/subtasks path and the older verb-style one.
+
+// ADD SUBTASK
+app.post(['/api/v1/tasks/:taskId/subtasks', '/addSubtask/:taskId'], deprecated('/api/v1/tasks/:taskId/subtasks'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const parsed = parseSubtaskInput(req.body);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const task = await findTask(req.userId, req.params.taskId);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        if (task.subtasks.length >= MAX_SUBTASKS) {
+            return res.status(400).json({
+                success: false,
+                error: `A task can have at most ${MAX_SUBTASKS} subtasks`
+            });
+        }
+
+        const last = task.subtasks.reduce((max, subtask) => Math.max(max, subtask.position), 0);
+        task.subtasks.push({
+            ...parsed.value,
+            position: last + TASK_POSITION_STEP
+        });
+        await saveTask(task);
+
+        console.log(`✅ Subtask created: ${parsed.value.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: formatTask(task, true)
+        });
+    } catch (error) {
+        console.error('Error adding subtask:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add subtask'
+        });
+    }
+});
+
+// UPDATE SUBTASK (rename, check/uncheck, estimate, finish)
+app.patch(['/api/v1/tasks/:taskId/subtasks/:subtaskId', '/updateSubtask/:taskId/:subtaskId'], deprecated('/api/v1/tasks/:taskId/subtasks/:subtaskId'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const parsed = parseSubtaskInput(req.body, { partial: true });
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const task = await findTask(req.userId, req.params.taskId);
+        const subtask = task && findSubtask(task, req.params.subtaskId);
+
+        if (!subtask) {
+            return res.status(404).json({
+                success: false,
+                error: 'Subtask not found'
+            });
+        }
+
+        Object.assign(subtask, parsed.value);
+        if (subtask.isModified('done')) {
+            subtask.completedAt = subtask.done ? new Date() : null;
+        }
+        await saveTask(task);
+
+        console.log(`✅ Subtask updated: ${subtask.name}`);
+
+        res.json({
+            success: true,
+            data: formatTask(task, true)
+        });
+    } catch (error) {
+        console.error('Error updating subtask:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update subtask'
+        });
+    }
+});
+
+// REORDER SUBTASKS
+// Body: { ids: [...] } in the desired order; unlisted subtasks go last.
+app.post(['/api/v1/tasks/:taskId/subtasks/reorder', '/reorderSubtasks/:taskId'], deprecated('/api/v1/tasks/:taskId/subtasks/reorder'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const { ids } = req.body;
+
+        if (!Array.isArray(ids) || ids.length === 0 || new Set(ids).size !== ids.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'ids must be a non-empty list of distinct subtask IDs'
+            });
+        }
+
+        const task = await findTask(req.userId, req.params.taskId);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        if (!ids.every(id => findSubtask(task, id))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Subtask not found'
+            });
+        }
+
+        const listed = new Set(ids.map(String));
+        const ordered = [
+            ...ids.map(id => findSubtask(task, id)),
+            ...sortSubtasks(task.subtasks).filter(subtask => !listed.has(subtask._id.toString()))
+        ];
+        ordered.forEach((subtask, index) => {
+            subtask.position = (index + 1) * TASK_POSITION_STEP;
+        });
+        await saveTask(task);
+
+        console.log(`✅ Subtasks reordered: ${task.name}`);
+
+        res.json({
+            success: true,
+            data: formatTask(task, true)
+        });
+    } catch (error) {
+        console.error('Error reordering subtasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder subtasks'
+        });
+    }
+});
+
+// DELETE SUBTASK
+app.delete(['/api/v1/tasks/:taskId/subtasks/:subtaskId', '/deleteSubtask/:taskId/:subtaskId'], deprecated('/api/v1/tasks/:taskId/subtasks/:subtaskId'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const task = await findTask(req.userId, req.params.taskId);
+        const subtask = task && findSubtask(task, req.params.subtaskId);
+
+        if (!subtask) {
+            return res.status(404).json({
+                success: false,
+                error: 'Subtask not found'
+            });
+        }
+
+        task.subtasks.pull(subtask._id);
+        await saveTask(task);
+
+        console.log(`✅ Subtask deleted: ${subtask.name}`);
+
+        res.json({
+            success: true,
+            data: formatTask(task, true)
+        });
+    } catch (error) {
+        console.error('Error deleting subtask:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete subtask'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - PROJECTS
+// ============================================
+
+// These respond with the user's project list; /api/v1/projects responds
+// with the project itself.
+
+// GET PROJECTS (?archived=true to include archived ones)
+app.get('/getProjects', deprecated('/api/v1/projects'), requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await listProjects(req.userId, parseBoolean(req.query.archived))
+        });
+    } catch (error) {
+        console.error('Error getting projects:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get projects'
+        });
+    }
+});
+
+// ADD PROJECT
+app.post('/addProject', deprecated('/api/v1/projects'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await createProject(req.userId, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Project created: ${result.value.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: await listProjects(req.userId)
+        });
+    } catch (error) {
+        console.error('Error adding project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add project'
+        });
+    }
+});
+
+// UPDATE PROJECT (rename, recolor, archive/unarchive)
+app.patch('/updateProject/:id', deprecated('/api/v1/projects/:id'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await updateProject(req.userId, req.params.id, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Project updated: ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: await listProjects(req.userId)
+        });
+    } catch (error) {
+        console.error('Error updating project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update project'
+        });
+    }
+});
+
+// DELETE PROJECT (see deleteProject())
+app.delete('/deleteProject/:id', deprecated('/api/v1/projects/:id'), requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await deleteProject(req.userId, req.params.id);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Project deleted: ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: await listProjects(req.userId)
+        });
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete project'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - RECORDS
+// ============================================
+
+// ✅ POST ADD RECORD (proper method)
+app.post('/recordAdd', deprecated('/api/v1/records'), requireAuth, requireScope('records:write'), idempotent, async (req, res) => {
+    try {
+        const result = await createRecord(req.userId, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const { record, task } = result.value;
+
+        console.log(`✅ Pomodoro record added (POST): ${record.kind}`);
+
+        const response = {
+            success: true,
+            data: record
+        };
+
+        if (task) {
+            response.tasks = formatTasks(await listTasks(req.userId), parseBoolean(req.query.tree));
+        }
+
+        res.status(201).json(response);
+    } catch (error) {
+        console.error('Error recordAdd (POST):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add record'
+        });
+    }
+});
+
+// ✅ GET ADD RECORD (legacy support)
+app.get('/recordAdd', deprecated('/api/v1/records'), requireAuth, requireScope('records:write'), async (req, res) => {
+    try {
+        const result = await createRecord(req.userId, req.query);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const { record, task } = result.value;
+
+        console.log(`✅ Pomodoro record added (GET): ${record.kind}`);
+
+        const response = {
+            success: true,
+            data: record
+        };
+
+        if (task) {
+            response.tasks = formatTasks(await listTasks(req.userId), parseBoolean(req.query.tree));
+        }
+
+        res.status(201).json(response);
+    } catch (error) {
+        console.error('Error recordAdd (GET):', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add record'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - TIMER
+// ============================================
+
+// Every timer route settles a timer that ran out in the meantime, and
+// responds with its current state. Each serves /api/v1/timer... and the
+// older /timer... path.
+
+// GET CURRENT TIMER
+app.get(['/api/v1/timer', '/timer'], deprecated('/api/v1/timer'), requireAuth, requireScope('records:read'), async (req, res) => {
+    try {
+        const timer = await loadTimer(req.userId);
+
+        res.json({
+            success: true,
+            data: formatTimer(timer)
+        });
+    } catch (error) {
+        console.error('Error getting timer:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get timer'
+        });
+    }
+});
+
+// START TIMER
+// Body (all optional): { kind, taskId, duration } with duration in seconds.
+// Defaults to the kind the timer suggests next and its current task.
+app.post(['/api/v1/timer/start', '/timer/start'], deprecated('/api/v1/timer/start'), requireAuth, requireScope('records:write'), idempotent, async (req, res) => {
+    try {
+        const parsed = parseTimerStartInput(req.body);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const timer = await loadTimer(req.userId);
+
+        if (timer.state !== 'idle') {
+            return res.status(409).json({
+                success: false,
+                error: `Timer is already ${timer.state}`
+            });
+        }
+
+        if (parsed.value.taskId && !(await findTask(req.userId, parsed.value.taskId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        startTimer(timer, parsed.value, new Date(), await getUserSettings(req.userId));
+        await timer.save();
+        timerChanged(timer);
+
+        console.log(`✅ Timer started: ${timer.kind}`);
+
+        res.json({
+            success: true,
+            data: formatTimer(timer)
+        });
+    } catch (error) {
+        sendTimerError(res, error, 'start');
+    }
+});
+
+// PAUSE TIMER
+app.post(['/api/v1/timer/pause', '/timer/pause'], deprecated('/api/v1/timer/pause'), requireAuth, requireScope('records:write'), idempotent, async (req, res) => {
+    try {
+        const timer = await loadTimer(req.userId);
+
+        if (timer.state !== 'running') {
+            return res.status(409).json({
+                success: false,
+                error: 'Timer is not running'
+            });
+        }
+
+        const now = new Date();
+        timer.elapsedMs = timerElapsedMs(timer, now);
+        timer.resumedAt = null;
+        timer.state = 'paused';
+        await timer.save();
+        timerChanged(timer);
+
+        console.log(`✅ Timer paused: ${timer.kind}`);
+
+        res.json({
+            success: true,
+            data: formatTimer(timer, now)
+        });
+    } catch (error) {
+        sendTimerError(res, error, 'pause');
+    }
+});
+
+// RESUME TIMER
+app.post(['/api/v1/timer/resume', '/timer/resume'], deprecated('/api/v1/timer/resume'), requireAuth, requireScope('records:write'), idempotent, async (req, res) => {
+    try {
+        const timer = await loadTimer(req.userId);
+
+        if (timer.state !== 'paused') {
+            return res.status(409).json({
+                success: false,
+                error: 'Timer is not paused'
+            });
+        }
+
+        const now = new Date();
+        timer.resumedAt = now;
+        timer.state = 'running';
+        await timer.save();
+        timerChanged(timer);
+
+        console.log(`✅ Timer resumed: ${timer.kind}`);
+
+        res.json({
+            success: true,
+            data: formatTimer(timer, now)
+        });
+    } catch (error) {
+        sendTimerError(res, error, 'resume');
+    }
+});
+
+// SKIP TIMER
+// Ends the current block early and moves on to the next kind in the cycle.
+// A partial block of at least a minute is recorded as interrupted.
+app.post(['/api/v1/timer/skip', '/timer/skip'], deprecated('/api/v1/timer/skip'), requireAuth, requireScope('records:write'), idempotent, async (req, res) => {
+    try {
+        const timer = await loadTimer(req.userId);
+
+        if (timer.state === 'idle') {
+            return res.status(409).json({
+                success: false,
+                error: 'Timer is not running'
+            });
+        }
+
+        const now = new Date();
+        const settings = await getUserSettings(req.userId);
+        const before = timerSnapshot(timer);
+        const record = endTimerBlock(timer, now, { completed: false, advance: true }, settings);
+        autoStartTimer(timer, now, settings);
+        const saved = await saveTimerBlock(timer, before, record);
+        timerChanged(timer);
+
+        console.log(`✅ Timer skipped: ${timer.kind}`);
+
+        res.json({
+            success: true,
+            data: formatTimer(timer),
+            record: saved
+        });
+    } catch (error) {
+        sendTimerError(res, error, 'skip');
+    }
+});
+
+// STOP TIMER
+// Abandons the current block and resets the timer to the same kind.
+// A partial block of at least a minute is recorded as interrupted.
+app.post(['/api/v1/timer/stop', '/timer/stop'], deprecated('/api/v1/timer/stop'), requireAuth, requireScope('records:write'), idempotent, async (req, res) => {
+    try {
+        const timer = await loadTimer(req.userId);
+
+        if (timer.state === 'idle') {
+            return res.status(409).json({
+                success: false,
+                error: 'Timer is not running'
+            });
+        }
+
+        const now = new Date();
+        const settings = await getUserSettings(req.userId);
+        const before = timerSnapshot(timer);
+        const record = endTimerBlock(timer, now, { completed: false, advance: false }, settings);
+        const saved = await saveTimerBlock(timer, before, record);
+        timerChanged(timer);
+
+        console.log(`✅ Timer stopped: ${timer.kind}`);
+
+        res.json({
+            success: true,
+            data: formatTimer(timer),
+            record: saved
+        });
+    } catch (error) {
+        sendTimerError(res, error, 'stop');
+    }
+});
+
+// GET REPORT
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, defaults to the last 7 days)
+// ?granularity=day|week|month (defaults to day; weeks start on Monday)
+// ?tz=Area/City (defaults to the user's timezone setting)
+app.get('/report', deprecated('/api/v1/reports'), requireAuth, requireScope('records:read'), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const parsed = parseReportQuery(req.query, timeZone);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const report = await buildReport(req.userId, {
+            ...parsed.value,
+            settings: await getUserSettings(req.userId)
+        });
+
+        res.json({ 
+            success: true, 
+            ...report
+        });
+    } catch (error) {
+        console.error('Error getting report:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get report'
+        });
+    }
+});
+
+// GET GOAL PROGRESS (also at /api/v1/goals)
+// Goals themselves are set through PATCH /settings (dailyGoal,
+// dailyGoalMetric, weeklyGoal, weeklyGoalMetric).
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD picks the days to show attainment for
+// (defaults to the last 7 days); ?tz=Area/City as for /report.
+app.get(['/api/v1/goals', '/goals'], deprecated('/api/v1/goals'), requireAuth, requireScope('records:read'), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const parsed = parseReportQuery(req.query, timeZone);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const settings = await getUserSettings(req.userId);
+        const dailyTotals = await getDailyTotals(req.userId, timeZone);
+
+        res.json({
+            success: true,
+            data: buildGoals(settings, dailyTotals, {
+                from: parsed.value.from,
+                to: parsed.value.to,
+                today: todayString(timeZone)
+            })
+        });
+    } catch (error) {
+        console.error('Error getting goals:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get goals'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - EXPORT
+// ============================================
+
+// EXPORT DATA (also at /api/v1/export)
+// ?format=json (default; tasks, records, projects and settings with every
+// field), csv (one row per timer block) or ics (one event per focus block).
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD limit the export to records (and tasks
+// created) on those days in ?tz= or the user's timezone; both optional.
+app.get(['/api/v1/export', '/export'], deprecated('/api/v1/export'), requireAuth, requireScope('tasks:read'), requireScope('records:read'), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const parsed = parseExportQuery(req.query, timeZone);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const { format } = parsed.value;
+        const { contentType, extension } = EXPORT_FORMATS[format];
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="orbit-export-${todayString(timeZone)}.${extension}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        if (format === 'json') {
+            await writeJsonExport(res, req.userId, parsed.value);
+        } else if (format === 'csv') {
+            await writeCsvExport(res, req.userId, parsed.value);
+        } else {
+            await writeIcsExport(res, req.userId, parsed.value);
+        }
+
+        res.end();
+        console.log(`✅ Data exported as ${format}`);
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        // Once streaming has started the status is already sent; just cut it off.
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export data'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - IMPORT
+// ============================================
+
+// IMPORT DATA (also at /api/v1/import)
+// Body: an Orbit JSON export (Content-Type: application/json), or a CSV task
+// list (Content-Type: text/csv) - either Todoist's CSV export or any sheet
+// whose header row names columns such as name, notes, estimate, day, due,
+// priority, tags and project. ?format=orbit|csv overrides the guess from
+// the content type; ?dryRun=true validates and reports without saving.
+// Items that already exist are skipped as duplicates, and invalid rows are
+// reported individually without failing the rest of the import.
+app.post(['/api/v1/import', '/import'], deprecated('/api/v1/import'), requireAuth, requireScope('tasks:write'), requireScope('records:write'), idempotent, async (req, res) => {
+    try {
+        const dryRun = parseBoolean(req.query.dryRun);
+        const format = req.query.format || (typeof req.body === 'string' ? 'csv' : 'orbit');
+
+        if (!IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `format must be one of: ${IMPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        const report = createImportReport(dryRun);
+        const result = format === 'csv'
+            ? await importCsv(req.userId, req.body, report)
+            : await importOrbitExport(req.userId, req.body, report);
+
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        if (!dryRun && report.tasks.created + report.subtasks.created > 0) {
+            publishEvent(req.userId, 'tasks.imported', {}, 'tasks:read');
+        }
+        if (!dryRun && report.records.created > 0) {
+            publishEvent(req.userId, 'records.imported', {}, 'records:read');
+        }
+
+        console.log(`✅ Import ${dryRun ? 'dry run' : 'finished'} (${format}): ${report.tasks.created} task(s), ${report.records.created} record(s)`);
+
+        res.json({
+            success: true,
+            ...report
+        });
+    } catch (error) {
+        console.error('Error importing data:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import data'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - API V1
+// ============================================
+
+// Resource-style routes. Success responses are { success: true, data };
+// creating returns 201. Errors use the same envelope as everywhere else.
+// Where an /api/v1 route answers exactly like an older one, the route above
+// serves both paths: /api/v1/me/settings, the task series, order and
+// position, subtasks, timer, goals, export and import.
+
+// GET CURRENT USER
+app.get('/api/v1/me', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: user._id,
+                name: user.name,
+                email: user.email || null,
+                emailVerified: user.emailVerified,
+                createdAt: user.createdAt,
+                session: req.authSession ? formatSession(req.authSession, req.authSession) : null,
+                token: req.authToken ? formatAccessToken(req.authToken) : null
+            }
+        });
+    } catch (error) {
+        console.error('Error getting user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get user'
+        });
+    }
+});
+
+// RENAME CURRENT USER
+// Body: { name }
+app.patch('/api/v1/me', requireAuth, requireSession, idempotent, async (req, res) => {
+    try {
+        const result = await renameUser(req.userId, req.body.name);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: result.value._id,
+                name: result.value.name
+            }
+        });
+    } catch (error) {
+        console.error('Error renaming user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rename user'
+        });
+    }
+});
+
+// DELETE CURRENT USER (and all of their data)
+// Body: { password }
+app.delete('/api/v1/me', requireAuth, requireSession, idempotent, async (req, res) => {
+    try {
+        const result = await deleteUser(req.userId, req.body.password);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        await endSession(res, req.cookies.session);
+
+        res.json({
+            success: true,
+            data: result.value
+        });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete user'
+        });
+    }
+});
+
+// LIST TASKS
+// Same query parameters as /getTasks: ?day, ?project, ?status, ?tree, ?tz.
+// Unlike /getTasks this changes nothing; see POST /api/v1/tasks/rollover.
+app.get('/api/v1/tasks', requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const result = await queryTasks(req.userId, req.query, timeZone);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatTasks(result.value, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error listing tasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list tasks'
+        });
+    }
+});
+
+// ROLL OVER TASKS
+// Moves unfinished tasks from earlier days to today (if the rolloverTasks
+// setting is on), archives past instances of recurring tasks and plans
+// each series' next one. Clients call it when they open and when the day
+// changes, before listing. ?tz= as for listing.
+app.post('/api/v1/tasks/rollover', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const result = await catchUpTasks(req.userId, timeZone);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error rolling over tasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to roll over tasks'
+        });
+    }
+});
+
+// CREATE TASK
+app.post('/api/v1/tasks', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await createTask(req.userId, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Task created: ${result.value.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: formatTask(result.value, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error creating task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create task'
+        });
+    }
+});
+
+// DELETE ALL TASKS
+app.delete('/api/v1/tasks', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const { deletedCount, undoToken } = await deleteAllTasks(req.userId);
+
+        console.log(`✅ All tasks deleted: ${deletedCount}`);
+
+        res.json({
+            success: true,
+            data: { deleted: deletedCount, undoToken }
+        });
+    } catch (error) {
+        console.error('Error deleting all tasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete all tasks'
+        });
+    }
+});
+
+// GET TASK
+app.get('/api/v1/tasks/:id', requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const task = await findTask(req.userId, req.params.id);
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatTask(task, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error getting task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get task'
+        });
+    }
+});
+
+// UPDATE TASK (any subset of the editable fields)
+app.patch('/api/v1/tasks/:id', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await updateTask(req.userId, req.params.id, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Task updated: ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: formatTask(result.value, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error updating task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update task'
+        });
+    }
+});
+
+// DELETE TASK
+app.delete('/api/v1/tasks/:id', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await deleteTask(req.userId, req.params.id);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Task deleted: ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: { id: result.value._id }
+        });
+    } catch (error) {
+        console.error('Error deleting task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete task'
+        });
+    }
+});
+
+// LIST PROJECTS (?archived=true to include archived ones)
+app.get('/api/v1/projects', requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await listProjects(req.userId, parseBoolean(req.query.archived))
+        });
+    } catch (error) {
+        console.error('Error listing projects:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list projects'
+        });
+    }
+});
+
+// CREATE PROJECT
+// Body: { name } and optionally color and archived.
+app.post('/api/v1/projects', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await createProject(req.userId, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Project created: ${result.value.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: result.value
+        });
+    } catch (error) {
+        console.error('Error creating project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create project'
+        });
+    }
+});
+
+// GET PROJECT
+app.get('/api/v1/projects/:id', requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const project = await findProject(req.userId, req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Project not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: project
+        });
+    } catch (error) {
+        console.error('Error getting project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get project'
+        });
+    }
+});
+
+// UPDATE PROJECT (any subset of name, color, archived)
+app.patch('/api/v1/projects/:id', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await updateProject(req.userId, req.params.id, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Project updated: ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: result.value
+        });
+    } catch (error) {
+        console.error('Error updating project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update project'
+        });
+    }
+});
+
+// DELETE PROJECT (see deleteProject())
+app.delete('/api/v1/projects/:id', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await deleteProject(req.userId, req.params.id);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Project deleted: ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: { id: result.value._id }
+        });
+    } catch (error) {
+        console.error('Error deleting project:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete project'
+        });
+    }
+});
+
+// LIST RECORDS (newest first)
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD in ?tz= or the user's timezone, ?kind,
+// ?taskId, ?limit (default 100). Pass the response's `next` as ?before to
+// get the following page.
+app.get('/api/v1/records', requireAuth, requireScope('records:read'), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const result = await queryRecords(req.userId, req.query, timeZone);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.value.records,
+            next: result.value.next
+        });
+    } catch (error) {
+        console.error('Error listing records:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list records'
+        });
+    }
+});
+
+// CREATE RECORD
+// A finished focus block linked to a task also counts towards that task.
+app.post('/api/v1/records', requireAuth, requireScope('records:write'), idempotent, async (req, res) => {
+    try {
+        const result = await createRecord(req.userId, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Pomodoro record added: ${result.value.record.kind}`);
+
+        res.status(201).json({
+            success: true,
+            data: result.value.record
+        });
+    } catch (error) {
+        console.error('Error creating record:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create record'
+        });
+    }
+});
+
+// GET RECORD
+app.get('/api/v1/records/:id', requireAuth, requireScope('records:read'), async (req, res) => {
+    try {
+        const record = mongoose.isValidObjectId(req.params.id)
+            ? await Record.findOne({ _id: req.params.id, user: req.userId })
+            : null;
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: 'Record not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: record
+        });
+    } catch (error) {
+        console.error('Error getting record:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get record'
+        });
+    }
+});
+
+// GET REPORT
+// Same query parameters as /report: ?from, ?to, ?granularity, ?tz.
+app.get('/api/v1/reports', requireAuth, requireScope('records:read'), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const parsed = parseReportQuery(req.query, timeZone);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const report = await buildReport(req.userId, {
+            ...parsed.value,
+            settings: await getUserSettings(req.userId)
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('Error getting report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get report'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - ACTIVITY
+// ============================================
+
+// Both lists are newest first. Query: ?limit (default 50, at most 200) and
+// ?before=<entry id> for the next page, which `next` points at.
+
+// TASK ACTIVITY (also for tasks in the trash or purged)
+app.get('/api/v1/tasks/:id/activity', requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found'
+            });
+        }
+
+        // A team task's history is kept under the team.
+        const task = await Task.findOne({ _id: req.params.id, user: { $in: await taskOwners(req.userId) } })
+            .setOptions({ includeTrashed: true })
+            .select('user');
+        const result = await queryActivity(task ? task.user : req.userId, req.query, { taskId: req.params.id });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.value.entries,
+            next: result.value.next
+        });
+    } catch (error) {
+        console.error('Error listing task activity:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list task activity'
+        });
+    }
+});
+
+// USER ACTIVITY
+// ?type narrows it to one entry type. Access tokens only see task entries;
+// logins and logouts are for browser sessions.
+app.get('/api/v1/activity', requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const result = await queryActivity(req.userId, req.query, { includeAccount: !req.authToken });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.value.entries,
+            next: result.value.next
+        });
+    } catch (error) {
+        console.error('Error listing activity:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list activity'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - TRASH
+// ============================================
+
+// Deleted tasks wait in the trash for TRASH_RETENTION_DAYS, then expire.
+
+// LIST TRASH (most recently deleted first)
+app.get('/api/v1/trash', requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const tasks = await listTrash(req.userId);
+
+        res.json({
+            success: true,
+            data: tasks.map(task => formatTrashedTask(task, parseBoolean(req.query.tree)))
+        });
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list trash'
+        });
+    }
+});
+
+// UNDO DELETE ALL
+// Body: { undoToken } as returned by DELETE /api/v1/tasks (or /deleteAll)
+app.post('/api/v1/trash/restore', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await restoreTasks(req.userId, { undoToken: req.body.undoToken });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Restored ${result.value.length} task(s) from trash`);
+
+        res.json({
+            success: true,
+            data: formatTasks(result.value, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error undoing delete:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore tasks'
+        });
+    }
+});
+
+// RESTORE TASK
+app.post('/api/v1/trash/:id/restore', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await restoreTasks(req.userId, { id: req.params.id });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const [task] = result.value;
+        console.log(`✅ Task restored: ${task.name}`);
+
+        res.json({
+            success: true,
+            data: formatTask(task, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error restoring task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore task'
+        });
+    }
+});
+
+// EMPTY TRASH
+app.delete('/api/v1/trash', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await purgeTrash(req.userId);
+
+        console.log(`✅ Trash emptied: ${result.value}`);
+
+        res.json({
+            success: true,
+            data: { deleted: result.value }
+        });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to empty trash'
+        });
+    }
+});
+
+// PURGE TASK (permanently)
+app.delete('/api/v1/trash/:id', requireAuth, requireScope('tasks:write'), idempotent, async (req, res) => {
+    try {
+        const result = await purgeTrash(req.userId, req.params.id);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { id: req.params.id }
+        });
+    } catch (error) {
+        console.error('Error purging task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to purge task'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - TEAMS
+// ============================================
+
+// A team has owners and members. Owners rename and delete it, invite users
+// (by name) and manage members; anyone can leave, except the last owner.
+// Every member can work on the team's shared tasks through the usual task,
+// record and timer routes; pomodoros stay attributed to whoever ran them.
+
+// LIST TEAMS (the user's)
+app.get('/api/v1/teams', requireAuth, requireScope('tasks:read'), async (req, res) => {
+    try {
+        const teams = await Team.find({ 'members.user': req.userId }).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: await Promise.all(teams.map(formatTeam))
+        });
+    } catch (error) {
+        console.error('Error listing teams:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list teams'
+        });
+    }
+});
+
+// CREATE TEAM (with the user as its owner)
+// Body: { name }
+app.post('/api/v1/teams', requireAuth, requireSession, idempotent, async (req, res) => {
+    try {
+        const name = parseTeamName(req.body.name);
+
+        if (name.error) {
+            return res.status(400).json({
+                success: false,
+                error: name.error
+            });
+        }
+
+        const team = await Team.create({
+            name: name.value,
+            members: [{ user: req.userId, role: 'owner' }]
+        });
+
+        console.log(`✅ Team created: ${team.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: await formatTeam(team)
+        });
+    } catch (error) {
+        console.error('Error creating team:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create team'
+        });
+    }
+});
+
+// GET TEAM
+app.get('/api/v1/teams/:id', requireAuth, requireScope('tasks:read'), requireTeam(), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await formatTeam(req.team)
+        });
+    } catch (error) {
+        console.error('Error getting team:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get team'
+        });
+    }
+});
+
+// RENAME TEAM
+// Body: { name }
+app.patch('/api/v1/teams/:id', requireAuth, requireSession, requireTeam('owner'), idempotent, async (req, res) => {
+    try {
+        const name = parseTeamName(req.body.name);
+
+        if (name.error) {
+            return res.status(400).json({
+                success: false,
+                error: name.error
+            });
+        }
+
+        req.team.name = name.value;
+        await req.team.save();
+
+        console.log(`✅ Team renamed: ${req.team.name}`);
+
+        res.json({
+            success: true,
+            data: await formatTeam(req.team)
+        });
+    } catch (error) {
+        console.error('Error renaming team:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rename team'
+        });
+    }
+});
+
+// DELETE TEAM (and its shared tasks)
+app.delete('/api/v1/teams/:id', requireAuth, requireSession, requireTeam('owner'), idempotent, async (req, res) => {
+    try {
+        await deleteTeam(req.team);
+
+        console.log(`✅ Team deleted: ${req.team.name}`);
+
+        res.json({
+            success: true,
+            data: { id: req.team._id }
+        });
+    } catch (error) {
+        console.error('Error deleting team:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete team'
+        });
+    }
+});
+
+// LIST PENDING INVITES
+app.get('/api/v1/teams/:id/invites', requireAuth, requireSession, requireTeam('owner'), async (req, res) => {
+    try {
+        const invites = await TeamInvite.find({
+            team: req.team._id,
+            expiresAt: { $gt: new Date() }
+        }).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: await formatInvites(invites)
+        });
+    } catch (error) {
+        console.error('Error listing team invites:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list invites'
+        });
+    }
+});
+
+// INVITE USER (inviting them again renews the invite)
+// Body: { name }
+app.post('/api/v1/teams/:id/invites', requireAuth, requireSession, requireTeam('owner'), idempotent, async (req, res) => {
+    try {
+        const result = await inviteToTeam(req.team, req.userId, req.body.name);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Invited ${result.value.name} to team ${req.team.name}`);
+
+        const [invite] = await formatInvites([result.value.invite]);
+
+        res.status(201).json({
+            success: true,
+            data: invite
+        });
+    } catch (error) {
+        console.error('Error inviting to team:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to invite user'
+        });
+    }
+});
+
+// REVOKE INVITE
+app.delete('/api/v1/teams/:id/invites/:inviteId', requireAuth, requireSession, requireTeam('owner'), idempotent, async (req, res) => {
+    try {
+        const result = mongoose.isValidObjectId(req.params.inviteId)
+            ? await TeamInvite.deleteOne({ _id: req.params.inviteId, team: req.team._id })
+            : { deletedCount: 0 };
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invite not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { id: req.params.inviteId }
+        });
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke invite'
+        });
+    }
+});
+
+// UPDATE MEMBER (:userId may be "me")
+// Body: { role } (owners only) and/or { shareReport } (members, for themselves)
+app.patch('/api/v1/teams/:id/members/:userId', requireAuth, requireSession, requireTeam(), idempotent, async (req, res) => {
+    try {
+        const memberId = req.params.userId === 'me' ? req.userId : req.params.userId;
+        const result = await updateTeamMember(req.team, req.userId, memberId, req.body);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await formatTeam(req.team)
+        });
+    } catch (error) {
+        console.error('Error updating team member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update member'
+        });
+    }
+});
+
+// REMOVE MEMBER, or LEAVE TEAM with :userId "me"
+app.delete('/api/v1/teams/:id/members/:userId', requireAuth, requireSession, requireTeam(), idempotent, async (req, res) => {
+    try {
+        const memberId = req.params.userId === 'me' ? req.userId : req.params.userId;
+        const result = await removeTeamMember(req.team, req.userId, memberId);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Member left team ${req.team.name}`);
+
+        res.json({
+            success: true,
+            data: { id: memberId }
+        });
+    } catch (error) {
+        console.error('Error removing team member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove member'
+        });
+    }
+});
+
+// LIST TEAM TASKS
+// Same query parameters as GET /api/v1/tasks, except ?project. Like it,
+// this only reads; see POST /api/v1/teams/:id/tasks/rollover.
+app.get('/api/v1/teams/:id/tasks', requireAuth, requireScope('tasks:read'), requireTeam(), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const result = await queryTasks(teamOwner(req.team._id), req.query, timeZone);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatTasks(result.value, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error listing team tasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list team tasks'
+        });
+    }
+});
+
+// ROLL OVER TEAM TASKS
+// As POST /api/v1/tasks/rollover, for the team's shared list.
+app.post('/api/v1/teams/:id/tasks/rollover', requireAuth, requireScope('tasks:write'), requireTeam(), idempotent, async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const result = await catchUpTasks(teamOwner(req.team._id), timeZone);
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error rolling over team tasks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to roll over team tasks'
+        });
+    }
+});
+
+// CREATE TEAM TASK
+// Body: as for POST /api/v1/tasks, without a projectId.
+app.post('/api/v1/teams/:id/tasks', requireAuth, requireScope('tasks:write'), requireTeam(), idempotent, async (req, res) => {
+    try {
+        const result = await createTask(req.userId, req.body, undefined, req.team);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Team task created: ${result.value.name}`);
+
+        res.status(201).json({
+            success: true,
+            data: formatTask(result.value, parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error creating team task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create team task'
+        });
+    }
+});
+
+// LIST TEAM TRASH
+app.get('/api/v1/teams/:id/trash', requireAuth, requireScope('tasks:read'), requireTeam(), async (req, res) => {
+    try {
+        const tasks = await listTrash(teamOwner(req.team._id));
+
+        res.json({
+            success: true,
+            data: tasks.map(task => formatTrashedTask(task, parseBoolean(req.query.tree)))
+        });
+    } catch (error) {
+        console.error('Error listing team trash:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list trash'
+        });
+    }
+});
+
+// RESTORE TEAM TASK
+app.post('/api/v1/teams/:id/trash/:taskId/restore', requireAuth, requireScope('tasks:write'), requireTeam(), idempotent, async (req, res) => {
+    try {
+        const result = await restoreTasks(teamOwner(req.team._id), { id: req.params.taskId }, req.userId);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatTask(result.value[0], parseBoolean(req.query.tree))
+        });
+    } catch (error) {
+        console.error('Error restoring team task:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore task'
+        });
+    }
+});
+
+// TEAM ACTIVITY (changes to the team's tasks, by whoever made them)
+// Query as for GET /api/v1/activity.
+app.get('/api/v1/teams/:id/activity', requireAuth, requireScope('tasks:read'), requireTeam(), async (req, res) => {
+    try {
+        const result = await queryActivity(teamOwner(req.team._id), req.query);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.value.entries,
+            next: result.value.next
+        });
+    } catch (error) {
+        console.error('Error listing team activity:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list team activity'
+        });
+    }
+});
+
+// TEAM REPORT (leaderboard)
+// Query as for GET /api/v1/reports. Only members who opted in with
+// { shareReport: true } are included.
+app.get('/api/v1/teams/:id/report', requireAuth, requireScope('records:read'), requireTeam(), async (req, res) => {
+    try {
+        const timeZone = await resolveTimeZone(req);
+
+        if (!timeZone) {
+            return res.status(400).json({
+                success: false,
+                error: 'tz must be an IANA timezone name such as America/Los_Angeles'
+            });
+        }
+
+        const parsed = parseReportQuery(req.query, timeZone);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await buildTeamReport(req.team, parsed.value)
+        });
+    } catch (error) {
+        console.error('Error getting team report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get team report'
+        });
+    }
+});
+
+// LIST MY INVITES
+app.get('/api/v1/invites', requireAuth, requireSession, async (req, res) => {
+    try {
+        const invites = await TeamInvite.find({
+            user: req.userId,
+            expiresAt: { $gt: new Date() }
+        }).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: await formatInvites(invites)
+        });
+    } catch (error) {
+        console.error('Error listing invites:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list invites'
+        });
+    }
+});
+
+// ACCEPT INVITE
+app.post('/api/v1/invites/:id/accept', requireAuth, requireSession, idempotent, async (req, res) => {
+    try {
+        const result = await acceptTeamInvite(req.userId, req.params.id);
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        console.log(`✅ Joined team ${result.value.name}`);
+
+        res.json({
+            success: true,
+            data: await formatTeam(result.value)
+        });
+    } catch (error) {
+        console.error('Error accepting invite:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to accept invite'
+        });
+    }
+});
+
+// DECLINE INVITE
+app.delete('/api/v1/invites/:id', requireAuth, requireSession, idempotent, async (req, res) => {
+    try {
+        const invite = mongoose.isValidObjectId(req.params.id)
+            ? await TeamInvite.findOneAndDelete({ _id: req.params.id, user: req.userId })
+            : null;
+
+        if (!invite) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invite not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { id: invite._id }
+        });
+    } catch (error) {
+        console.error('Error declining invite:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to decline invite'
+        });
+    }
+});
+
+// ============================================
+// ROUTES - SYNC
+// ============================================
+
+// SYNC (for offline clients)
+// Body: { cursor, operations: [...] }. Operations are applied in order and
+// at most once each; the response lists each one's result, every change
+// since `cursor` (the client's own included) and the cursor to send next.
+//
+// Operation: { opId, type, id, data, changedAt, baseVersion }
+//   task.create   - id is a client-generated ObjectId; data as for POST /api/v1/tasks
+//   task.update   - data holds only the changed fields
+//   task.delete
+//   record.create - id is client-generated; data as for POST /api/v1/records
+// opId is echoed back. Replaying an operation (same id) is acknowledged as
+// a duplicate rather than applied twice. A malformed id and one another
+// account already uses are rejected alike, as 'Invalid id'. Only the user's
+// own tasks sync: updates and deletes of team tasks are rejected.
+//
+// Conflicts: each task has a `version`, bumped on every change, and a clock
+// per field recording when it last changed. An update whose baseVersion is
+// still current is applied whole. Otherwise each field is last-writer-wins:
+// it's applied only if the client changed it (changedAt, capped at the
+// server's clock) after the server's copy last changed; the fields that
+// lost are listed in `conflicts`. Deletes win over updates.
+//
+// Without a cursor, or with one older than deletions are remembered, the
+// response is a full snapshot (`reset: true`) that replaces local state.
+app.post('/api/v1/sync', requireAuth, requireScope('tasks:read'), requireScope('records:read'), idempotent, async (req, res) => {
+    try {
+        const parsed = parseSyncRequest(req.body);
+
+        if (parsed.error) {
+            return res.status(400).json({
+                success: false,
+                error: parsed.error
+            });
+        }
+
+        const results = [];
+        for (const operation of parsed.value.operations) {
+            results.push(await applySyncOperation(req, operation));
+        }
+
+        const changes = await collectSyncChanges(req.userId, parsed.value.since);
+
+        if (results.length > 0) {
+            console.log(`✅ Synced ${results.length} operation(s)`);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                results,
+                ...changes
+            }
+        });
+    } catch (error) {
+        console.error('Error syncing:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sync'
+        });
+    }
+});
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+// Calendar days are handled as 'YYYY-MM-DD' strings and stepped in UTC,
+// so day arithmetic never trips over DST or the server's own timezone.
+// Only converting a day to or from an instant needs the user's timezone.
+function isDayString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// Intl accepts any casing and aliases such as US/Pacific, Mongo's date
+// operators only canonical names; returns the canonical name, or null when
+// the zone is unknown.
+function canonicalTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return null;
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return parts;
+}
+
+function dayString(date, timeZone = 'UTC') {
+    const { year, month, day } = zonedParts(date, timeZone);
+    return `${year}-${month}-${day}`;
+}
+
+function todayString(timeZone = 'UTC') {
+    return dayString(new Date(), timeZone);
+}
+
+// Milliseconds to add to UTC to get wall-clock time in `timeZone` at `date`.
+function timeZoneOffset(date, timeZone) {
+    const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a calendar day starts in `timeZone`. The offset is tried
+// twice because midnight may sit on the other side of a DST change from our
+// first guess; where DST skips midnight itself, the day starts at whichever
+// candidate actually falls on it.
+function startOfDay(day, timeZone = 'UTC') {
+    const midnightUtc = Date.parse(`${day}T00:00:00Z`);
+    const first = midnightUtc - timeZoneOffset(new Date(midnightUtc), timeZone);
+    const second = midnightUtc - timeZoneOffset(new Date(first), timeZone);
+    const candidates = [first, second].filter(instant => dayString(new Date(instant), timeZone) === day);
+    return new Date(candidates.length ? Math.min(...candidates) : Math.max(first, second));
+}
+
+function generateDateRange(from, to) {
+    const dates = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+        dates.push(day);
+    }
+    return dates;
+}
+
+function toMinutes(seconds) {
+    return Math.round(seconds / 60);
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ============================================
+// HELPER FUNCTIONS - TASKS
+// ============================================
+
+const MAX_TASK_NAME_LENGTH = 200;
+const MAX_TASK_DESCRIPTION_LENGTH = 5000;
+const MAX_TASK_TAGS = 20;
+
+function parseCount(value, min) {
+    const count = Number(value);
+    return Number.isInteger(count) && count >= min ? count : null;
+}
+
+function parseTags(value) {
+    if (value === null || value === '') return [];
+
+    const tags = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) return null;
+
+    return [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+}
+
+// Validates task fields from a JSON body or legacy query string. With
+// `partial`, only the fields present are returned (for updates); otherwise
+// a name is required. Unknown fields are ignored.
+function parseTaskInput(input, { partial = false } = {}) {
+    const value = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (has('name') || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            return { error: 'Task name is required' };
+        }
+        if (input.name.trim().length > MAX_TASK_NAME_LENGTH) {
+            return { error: `Task name must be at most ${MAX_TASK_NAME_LENGTH} characters` };
+        }
+        value.name = input.name.trim();
+    }
+
+    if (has('num') && input.num !== '') {
+        value.num = parseCount(input.num, 1);
+        if (value.num === null) {
+            return { error: 'Estimate (num) must be a whole number of at least 1' };
+        }
+    }
+
+    if (has('finish')) {
+        value.finish = parseCount(input.finish, 0);
+        if (value.finish === null) {
+            return { error: 'Finish must be a whole number of at least 0' };
+        }
+    }
+
+    if (has('description')) {
+        const description = input.description === null ? '' : input.description;
+        if (typeof description !== 'string' || description.length > MAX_TASK_DESCRIPTION_LENGTH) {
+            return { error: `Description must be text of at most ${MAX_TASK_DESCRIPTION_LENGTH} characters` };
+        }
+        value.description = description;
+    }
+
+    if (has('dueDate')) {
+        value.dueDate = parseDate(input.dueDate);
+        if (value.dueDate === null) {
+            return { error: 'dueDate must be a valid date' };
+        }
+        if (value.dueDate === undefined) value.dueDate = null;
+    }
+
+    if (has('day')) {
+        const day = input.day === '' ? null : input.day;
+        if (day !== null && !isDayString(day)) {
+            return { error: 'day must be a date in YYYY-MM-DD format' };
+        }
+        value.day = day;
+    }
+
+    if (has('projectId')) {
+        const projectId = input.projectId === '' ? null : input.projectId;
+        if (projectId !== null && !mongoose.isValidObjectId(projectId)) {
+            return { error: 'Invalid projectId' };
+        }
+        value.projectId = projectId;
+    }
+
+    if (has('recurrence')) {
+        const recurrence = parseRecurrence(input.recurrence);
+        if (recurrence.error) return recurrence;
+        value.recurrence = recurrence.value;
+    }
+
+    if (has('priority')) {
+        if (!TASK_PRIORITIES.includes(input.priority)) {
+            return { error: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}` };
+        }
+        value.priority = input.priority;
+    }
+
+    if (has('tags')) {
+        value.tags = parseTags(input.tags);
+        if (value.tags === null) {
+            return { error: 'Tags must be a list of strings' };
+        }
+        if (value.tags.length > MAX_TASK_TAGS) {
+            return { error: `A task can have at most ${MAX_TASK_TAGS} tags` };
+        }
+    }
+
+    if (has('status')) {
+        if (!TASK_STATUSES.includes(input.status)) {
+            return { error: `Status must be one of: ${TASK_STATUSES.join(', ')}` };
+        }
+        value.status = input.status;
+    }
+
+    if (partial && Object.keys(value).length === 0) {
+        return { error: 'No task fields to update' };
+    }
+
+    return { value };
+}
+
+const MAX_SUBTASKS = 100;
+
+// The user's own task, or a shared task of one of their teams. The user is
+// kept as the task's actor for the activity log.
+async function findTask(userId, taskId) {
+    if (!mongoose.isValidObjectId(taskId)) return null;
+
+    const task = await Task.findOne({
+        _id: taskId,
+        user: { $in: await taskOwners(userId) }
+    });
+
+    if (task) task.$locals.actor = userId;
+    return task;
+}
+
+function findSubtask(task, subtaskId) {
+    return mongoose.isValidObjectId(subtaskId) ? task.subtasks.id(subtaskId) : null;
+}
+
+function sortSubtasks(subtasks) {
+    return [...subtasks].sort((a, b) => a.position - b.position);
+}
+
+function percent(done, total) {
+    return total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0;
+}
+
+// A task's progress rolls up from its subtasks when it has any: by pomodoro
+// estimate if at least one subtask has one, otherwise by the share of
+// checked-off items. Tasks without subtasks use their own counters.
+function taskProgress(task) {
+    const subtasks = task.subtasks || [];
+
+    if (subtasks.length === 0) {
+        return {
+            subtasks: { done: 0, total: 0 },
+            pomodoros: { finish: task.finish, num: task.num },
+            percent: percent(task.finish, task.num)
+        };
+    }
+
+    const done = subtasks.filter(subtask => subtask.done).length;
+    const num = subtasks.reduce((sum, subtask) => sum + subtask.num, 0);
+    const finish = subtasks.reduce((sum, subtask) => sum + Math.min(subtask.finish, subtask.num), 0);
+
+    return {
+        subtasks: { done, total: subtasks.length },
+        pomodoros: num > 0 ? { finish, num } : { finish: task.finish, num: task.num },
+        percent: num > 0 ? percent(finish, num) : percent(done, subtasks.length)
+    };
+}
+
+// Tasks are returned flat by default; `tree` nests their subtasks in order.
+function formatTask(task, tree = false) {
+    const json = task.toJSON();
+    json.progress = taskProgress(task);
+    delete json.fieldClocks;
+
+    if (tree) {
+        json.subtasks = sortSubtasks(task.subtasks).map(subtask => subtask.toJSON());
+    } else {
+        delete json.subtasks;
+    }
+    return json;
+}
+
+function formatTasks(tasks, tree = false) {
+    return tasks.map(task => formatTask(task, tree));
+}
+
+function parseSubtaskInput(input, { partial = false } = {}) {
+    const value = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (has('name') || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            return { error: 'Subtask name is required' };
+        }
+        if (input.name.trim().length > MAX_TASK_NAME_LENGTH) {
+            return { error: `Subtask name must be at most ${MAX_TASK_NAME_LENGTH} characters` };
+        }
+        value.name = input.name.trim();
+    }
+
+    if (has('done')) {
+        if (typeof input.done !== 'boolean') {
+            return { error: 'done must be true or false' };
+        }
+        value.done = input.done;
+    }
+
+    for (const key of ['num', 'finish']) {
+        if (has(key)) {
+            value[key] = parseCount(input[key], 0);
+            if (value[key] === null) {
+                return { error: `${key} must be a whole number of at least 0` };
+            }
+        }
+    }
+
+    if (partial && Object.keys(value).length === 0) {
+        return { error: 'No subtask fields to update' };
+    }
+
+    return { value };
+}
+
+// Positions are spaced out so a single move can usually take the midpoint of
+// its new neighbours without renumbering the rest of the list.
+const TASK_POSITION_STEP = 1024;
+
+// Tasks created before manual ordering existed have no position and sort
+// first, by creation time. Archived tasks are left out unless the filter
+// asks for a status.
+function listTasks(userId, filter = {}) {
+    return Task.find({
+        status: { $ne: 'archived' },
+        ...filter,
+        user: userId
+    }).sort({ position: 1, createdAt: 1 });
+}
+
+async function nextTaskPosition(userId) {
+    const last = await Task.findOne({
+        user: userId,
+        position: { $ne: null }
+    }).sort({ position: -1 }).select('position');
+
+    return (last ? last.position : 0) + TASK_POSITION_STEP;
+}
+
+async function saveTaskPositions(orderedTasks) {
+    if (orderedTasks.length === 0) return;
+
+    await Task.bulkWrite(orderedTasks.map((task, index) => ({
+        updateOne: {
+            filter: { _id: task._id },
+            update: taskFieldUpdate({ position: (index + 1) * TASK_POSITION_STEP })
+        }
+    })));
+}
+
+// Inserts `task` at `index` within `others` (the rest of the list, in order).
+// Falls back to renumbering everything when there's no usable gap.
+async function placeTask(task, others, index) {
+    const previous = others[index - 1];
+    const next = others[index];
+
+    const lower = previous ? previous.position : null;
+    const upper = next ? next.position : null;
+    let position = null;
+
+    if (previous && next && lower !== null && upper !== null) {
+        position = (lower + upper) / 2;
+        if (!(position > lower && position < upper)) position = null;
+    } else if (previous && !next && lower !== null) {
+        position = lower + TASK_POSITION_STEP;
+    } else if (!previous && next && upper !== null) {
+        position = upper - TASK_POSITION_STEP;
+    }
+
+    if (position === null) {
+        await saveTaskPositions([...others.slice(0, index), task, ...others.slice(index)]);
+        return;
+    }
+
+    task.position = position;
+    await task.save();
+}
+
+// Maps /getTasks?day= onto a Task filter. Returns null for invalid input.
+function parseDayFilter(day, today) {
+    if (day === undefined || day === '') return {};
+    if (day === 'today') return { day: today };
+    if (day === 'week') {
+        const monday = bucketKey(today, 'week');
+        return { day: { $gte: monday, $lte: addDays(monday, 6) } };
+    }
+    return isDayString(day) ? { day } : null;
+}
+
+// Unfinished tasks planned for an earlier day move to today. Recurring
+// tasks don't roll over; refreshRecurringTasks() replaces them instead.
+// Returns how many moved.
+async function rolloverTasks(userId, today) {
+    const settings = await getUserSettings(userId);
+    if (!settings.rolloverTasks) return 0;
+
+    const result = await Task.updateMany({
+        user: userId,
+        status: 'active',
+        recurrence: null,
+        day: { $ne: null, $lt: today }
+    }, taskFieldUpdate({ day: today }));
+    return result.modifiedCount;
+}
+
+// An explicit status always wins. Otherwise, with auto-complete on, changing
+// `finish` or `num` completes the task once `finish` reaches `num`, and
+// reopens it if it drops back below.
+function applyTaskUpdate(task, value, autoComplete) {
+    Object.assign(task, value);
+
+    if (value.status !== undefined) {
+        if (task.isModified('status')) {
+            task.completedAt = task.status === 'completed' ? new Date() : null;
+        }
+        return;
+    }
+
+    const countsChanged = value.finish !== undefined || value.num !== undefined;
+    if (!autoComplete || !countsChanged || task.status === 'archived') return;
+
+    if (task.status === 'active' && task.finish >= task.num) {
+        task.status = 'completed';
+        task.completedAt = new Date();
+    } else if (task.status === 'completed' && task.finish < task.num) {
+        task.status = 'active';
+        task.completedAt = null;
+    }
+}
+
+// ============================================
+// HELPER FUNCTIONS - RECURRING TASKS
+// ============================================
+
+// Far enough to find the next occurrence of any valid rule (a 31st of the
+// month every 12 months can be up to 4 years away).
+const MAX_RECURRENCE_LOOKAHEAD_DAYS = 366 * 5;
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function weekdayOf(day) {
+    return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+// Accepts an object or, from legacy query strings, its JSON encoding.
+// `null` or '' clears the recurrence.
+function parseRecurrence(input) {
+    if (input === null || input === '') return { value: null };
+
+    let rule = input;
+    if (typeof rule === 'string') {
+        try {
+            rule = JSON.parse(rule);
+        } catch (error) {
+            return { error: 'recurrence must be an object' };
+        }
+    }
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return { error: 'recurrence must be an object' };
+    }
+
+    if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+        return { error: `recurrence.freq must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+    }
+
+    const value = { freq: rule.freq, interval: 1, weekdays: [], monthDay: undefined, until: null };
+
+    if (rule.interval !== undefined) {
+        value.interval = parseCount(rule.interval, 1);
+        if (value.interval === null || value.interval > 365) {
+            return { error: 'recurrence.interval must be a whole number from 1 to 365' };
+        }
+    }
+
+    if (rule.weekdays !== undefined) {
+        if (!Array.isArray(rule.weekdays) || !rule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            return { error: 'recurrence.weekdays must be a list of numbers from 0 (Sunday) to 6 (Saturday)' };
+        }
+        value.weekdays = [...new Set(rule.weekdays)].sort();
+    }
+
+    if (rule.monthDay !== undefined) {
+        value.monthDay = parseCount(rule.monthDay, 1);
+        if (value.monthDay === null || value.monthDay > 31) {
+            return { error: 'recurrence.monthDay must be a whole number from 1 to 31' };
+        }
+    }
+
+    if (rule.until !== undefined && rule.until !== null) {
+        if (!isDayString(rule.until)) {
+            return { error: 'recurrence.until must be a date in YYYY-MM-DD format' };
+        }
+        value.until = rule.until;
+    }
+
+    return { value };
+}
+
+// Sets (or clears) a task's recurrence. The series is anchored on the
+// task's planned day, which defaults to today.
+function applyRecurrence(task, recurrence, today) {
+    if (!recurrence) {
+        task.recurrence = null;
+        return;
+    }
+
+    if (!task.day) task.day = today;
+
+    task.recurrence = {
+        ...recurrence,
+        weekdays: recurrence.freq === 'weekly' && recurrence.weekdays.length === 0
+            ? [weekdayOf(task.day)]
+            : recurrence.weekdays,
+        monthDay: recurrence.freq === 'monthly' && !recurrence.monthDay
+            ? Number(task.day.slice(8, 10))
+            : recurrence.monthDay,
+        anchor: task.day
+    };
+
+    if (!task.seriesId) task.seriesId = task._id;
+}
+
+function occursOn(recurrence, day) {
+    const { freq, interval, weekdays, monthDay, anchor, until } = recurrence;
+
+    if (day < anchor || (until && day > until)) return false;
+
+    if (freq === 'daily') {
+        return daysBetween(anchor, day) % interval === 0;
+    }
+
+    if (freq === 'weekdays') {
+        const weekday = weekdayOf(day);
+        return weekday >= 1 && weekday <= 5;
+    }
+
+    if (freq === 'weekly') {
+        const weeks = daysBetween(bucketKey(anchor, 'week'), bucketKey(day, 'week')) / 7;
+        return weeks % interval === 0 && weekdays.includes(weekdayOf(day));
+    }
+
+    const [anchorYear, anchorMonth] = anchor.split('-').map(Number);
+    const [year, month, date] = day.split('-').map(Number);
+    const months = (year - anchorYear) * 12 + (month - anchorMonth);
+    return months % interval === 0 && date === Math.min(monthDay, daysInMonth(year, month));
+}
+
+// First day on or after `fromDay` that the rule lands on, or null once the
+// series has ended.
+function nextOccurrence(recurrence, fromDay) {
+    let day = fromDay < recurrence.anchor ? recurrence.anchor : fromDay;
+
+    for (let i = 0; i < MAX_RECURRENCE_LOOKAHEAD_DAYS; i++, day = addDays(day, 1)) {
+        if (recurrence.until && day > recurrence.until) return null;
+        if (occursOn(recurrence, day)) return day;
+    }
+    return null;
+}
+
+// Creates the series' next instance on or after `fromDay`, unless one is
+// already planned from that day on.
+async function createNextInstance(task, fromDay) {
+    const day = nextOccurrence(task.recurrence, fromDay);
+    if (!day) return null;
+
+    const planned = await Task.exists({
+        user: task.user,
+        seriesId: task.seriesId,
+        day: { $gte: fromDay },
+        status: { $ne: 'archived' },
+        _id: { $ne: task._id }
+    });
+    if (planned) return null;
+
+    const instance = await Task.create({
+        user: task.user,
+        name: task.name,
+        num: task.num,
+        finish: 0,
+        day,
+        position: await nextTaskPosition(task.user),
+        projectId: task.projectId,
+        description: task.description,
+        priority: task.priority,
+        tags: task.tags,
+        status: 'active',
+        subtasks: task.subtasks.map(({ name, position, num }) => ({ name, position, num })),
+        recurrence: task.recurrence,
+        seriesId: task.seriesId,
+        teamId: task.teamId
+    });
+
+    instance.$locals.actor = task.$locals.actor;
+    snapshotTask(instance);
+    await logActivity([taskActivity(instance, 'task.created', { seriesId: instance.seriesId })]);
+    await publishTaskEvent(instance, 'task.created', { task: formatTask(instance, true) });
+    return instance;
+}
+
+// Saves a task and tells the user's other clients about it. If that save
+// completed a recurring task, also plans the series' next instance.
+async function saveTask(task) {
+    const completedNow = task.isModified('status') && task.status === 'completed';
+    await task.save();
+    await recordTaskChanges(task);
+    await publishTaskEvent(task, 'task.updated', { task: formatTask(task, true) });
+
+    if (completedNow && task.recurrence && task.day) {
+        await createNextInstance(task, addDays(task.day, 1));
+    }
+}
+
+// Once a day has passed, its recurring instances (finished or not) are
+// archived as history, and each series gets an instance from today on.
+// Returns how many were archived and planned.
+async function refreshRecurringTasks(userId, today) {
+    const stale = await Task.find({
+        user: userId,
+        recurrence: { $ne: null },
+        status: { $in: ['active', 'completed'] },
+        day: { $lt: today }
+    }).sort({ day: -1 });
+
+    const seen = new Set();
+    let planned = 0;
+    for (const task of stale) {
+        task.status = 'archived';
+        await saveTask(task);
+
+        const series = task.seriesId.toString();
+        if (!seen.has(series)) {
+            seen.add(series);
+            if (await createNextInstance(task, today)) planned += 1;
+        }
+    }
+
+    return { archived: stale.length, planned };
+}
+
+// ============================================
+// HELPER FUNCTIONS - PROJECTS
+// ============================================
+
+const MAX_PROJECT_NAME_LENGTH = 100;
+
+function listProjects(userId, includeArchived = false) {
+    const filter = { user: userId };
+    if (!includeArchived) filter.archived = false;
+    return Project.find(filter).sort({ createdAt: 1 });
+}
+
+async function projectExists(userId, projectId) {
+    return Boolean(await Project.exists({ _id: projectId, user: userId }));
+}
+
+function findProject(userId, projectId) {
+    return mongoose.isValidObjectId(projectId) ? Project.findOne({ _id: projectId, user: userId }) : null;
+}
+
+function parseProjectInput(input, { partial = false } = {}) {
+    const value = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (has('name') || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            return { error: 'Project name is required' };
+        }
+        if (input.name.trim().length > MAX_PROJECT_NAME_LENGTH) {
+            return { error: `Project name must be at most ${MAX_PROJECT_NAME_LENGTH} characters` };
+        }
+        value.name = input.name.trim();
+    }
+
+    if (has('color')) {
+        if (typeof input.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(input.color)) {
+            return { error: 'Color must be a hex color such as #7c6cf2' };
+        }
+        value.color = input.color.toLowerCase();
+    }
+
+    if (has('archived')) {
+        if (typeof input.archived !== 'boolean') {
+            return { error: 'archived must be true or false' };
+        }
+        value.archived = input.archived;
+    }
+
+    if (partial && Object.keys(value).length === 0) {
+        return { error: 'No project fields to update' };
+    }
+
+    return { value };
+}
+
+// Shared by the /api/v1/projects routes and their legacy aliases. Each
+// returns { value } or { status, error }.
+
+async function createProject(userId, input) {
+    const parsed = parseProjectInput(input);
+
+    if (parsed.error) {
+        return { status: 400, error: parsed.error };
+    }
+
+    return { value: await Project.create({ ...parsed.value, user: userId }) };
+}
+
+async function updateProject(userId, projectId, input) {
+    const parsed = parseProjectInput(input, { partial: true });
+
+    if (parsed.error) {
+        return { status: 400, error: parsed.error };
+    }
+
+    const project = await findProject(userId, projectId);
+
+    if (!project) {
+        return { status: 404, error: 'Project not found' };
+    }
+
+    Object.assign(project, parsed.value);
+    await project.save();
+
+    return { value: project };
+}
+
+// Its tasks are kept, just unassigned - trashed ones too, so restoring them
+// doesn't bring back a dangling projectId.
+async function deleteProject(userId, projectId) {
+    const project = mongoose.isValidObjectId(projectId)
+        ? await Project.findOneAndDelete({ _id: projectId, user: userId })
+        : null;
+
+    if (!project) {
+        return { status: 404, error: 'Project not found' };
+    }
+
+    await Task.updateMany({
+        user: userId,
+        projectId: project._id
+    }, taskFieldUpdate({ projectId: null })).setOptions({ includeTrashed: true });
+    await recordDeletions(userId, 'project', [project._id]);
+
+    return { value: project };
+}
+
+// ============================================
+// HELPER FUNCTIONS - TASK & RECORD OPERATIONS
+// ============================================
+
+// Shared by the /api/v1 routes and their legacy aliases, which only differ
+// in where input comes from and what they respond with. Each returns
+// { value } or { status, error }.
+
+// Catches the owner's list up with the calendar: unfinished tasks roll over
+// to today and recurring series get today's instance. Clients ask for it
+// (POST /api/v1/tasks/rollover) rather than every read doing it.
+async function catchUpTasks(owner, timeZone) {
+    const today = todayString(timeZone);
+    const rolledOver = await rolloverTasks(owner, today);
+    const recurring = await refreshRecurringTasks(owner, today);
+    return { rolledOver, ...recurring };
+}
+
+// Only the legacy /getTasks passes `catchUp`, as it always caught up first.
+async function queryTasks(userId, query, timeZone, { catchUp = false } = {}) {
+    const filter = parseDayFilter(query.day, todayString(timeZone));
+
+    if (filter === null) {
+        return { status: 400, error: 'day must be today, week or a date in YYYY-MM-DD format' };
+    }
+
+    if (query.status === 'all') {
+        filter.status = { $exists: true };
+    } else if (query.status) {
+        if (!TASK_STATUSES.includes(query.status)) {
+            return { status: 400, error: `status must be all or one of: ${TASK_STATUSES.join(', ')}` };
+        }
+        filter.status = query.status;
+    }
+
+    if (query.project === 'none') {
+        filter.projectId = null;
+    } else if (query.project) {
+        if (!mongoose.isValidObjectId(query.project)) {
+            return { status: 400, error: 'Invalid project' };
+        }
+        filter.projectId = query.project;
+    }
+
+    if (catchUp) await catchUpTasks(userId, timeZone);
+
+    return { value: await listTasks(userId, filter) };
+}
+
+// `id` lets offline clients pick the new task's id themselves. With a
+// `team`, the task goes on the team's shared list instead of the user's.
+async function createTask(userId, input, id, team = null) {
+    const parsed = parseTaskInput(input);
+
+    if (parsed.error) {
+        return { status: 400, error: parsed.error };
+    }
+
+    if (parsed.value.projectId && team) {
+        return { status: 400, error: 'Team tasks can\'t belong to a project' };
+    }
+
+    if (parsed.value.projectId && !(await projectExists(userId, parsed.value.projectId))) {
+        return { status: 404, error: 'Project not found' };
+    }
+
+    const owner = team ? teamOwner(team._id) : userId;
+
+    const { recurrence, ...fields } = parsed.value;
+
+    const task = new Task({
+        ...fields,
+        ...(id ? { _id: id } : {}),
+        finish: 0,
+        status: 'active',
+        position: await nextTaskPosition(owner),
+        teamId: team ? team._id : null,
+        user: owner
+    });
+    task.$locals.actor = userId;
+
+    if (recurrence) {
+        const settings = await getUserSettings(userId);
+        applyRecurrence(task, recurrence, todayString(settings.timezone));
+    }
+
+    await task.save();
+    snapshotTask(task);
+    await logActivity([taskActivity(task, 'task.created')]);
+    await publishTaskEvent(task, 'task.created', { task: formatTask(task, true) });
+
+    return { value: task };
+}
+
+async function updateTask(userId, taskId, input) {
+    if (!taskId) {
+        return { status: 400, error: 'Task ID is required' };
+    }
+
+    const parsed = parseTaskInput(input, { partial: true });
+
+    if (parsed.error) {
+        return { status: 400, error: parsed.error };
+    }
+
+    const task = await findTask(userId, taskId);
+
+    if (!task) {
+        return { status: 404, error: 'Task not found' };
+    }
+
+    if (parsed.value.projectId && !(await projectExists(task.user, parsed.value.projectId))) {
+        return { status: 404, error: 'Project not found' };
+    }
+
+    const { recurrence, ...fields } = parsed.value;
+    const settings = await getUserSettings(userId);
+    applyTaskUpdate(task, fields, settings.autoCompleteTasks);
+    if (recurrence !== undefined) {
+        applyRecurrence(task, recurrence, todayString(settings.timezone));
+    }
+    await saveTask(task);
+
+    return { value: task };
+}
+
+// Moves the task to the trash (its owner's: a team task stays the team's).
+async function deleteTask(userId, taskId) {
+    const task = await findTask(userId, taskId);
+
+    if (!task) {
+        return { status: 404, error: 'Task not found' };
+    }
+
+    task.deletedAt = new Date();
+    task.deletedBatch = null;
+    await task.save();
+
+    await recordDeletions(task.user, 'task', [task._id]);
+    await logActivity([taskActivity(task, 'task.deleted')]);
+    await publishTaskEvent(task, 'task.deleted', { id: task._id });
+
+    return { value: task };
+}
+
+// Moves every task to the trash as one batch. Returns how many tasks were
+// deleted and the token that restores them (see restoreTasks()).
+async function deleteAllTasks(userId) {
+    const batch = new mongoose.Types.ObjectId();
+    const tasks = await Task.find({ user: userId }).select('user name');
+    const ids = tasks.map(task => task._id);
+    const result = await Task.updateMany(
+        { user: userId, _id: { $in: ids } },
+        { deletedAt: new Date(), deletedBatch: batch }
+    );
+    const undoToken = batch.toString();
+
+    await recordDeletions(userId, 'task', ids);
+    await logActivity(tasks.map(task => taskActivity(task, 'task.deleted', { undoToken })));
+    publishEvent(userId, 'tasks.cleared', {}, 'tasks:read');
+    return { deletedCount: result.modifiedCount, undoToken };
+}
+
+// Returns the record and, when it belongs to one, the (updated) task.
+// Like tasks, records can be created with a client-chosen `id`.
+async function createRecord(userId, input, id) {
+    const settings = await getUserSettings(userId);
+    const parsed = parseRecordInput(input, plannedDurations(settings));
+
+    if (parsed.error) {
+        return { status: 400, error: parsed.error };
+    }
+
+    let task = null;
+    if (parsed.value.taskId) {
+        task = await findTask(userId, parsed.value.taskId);
+
+        if (!task) {
+            return { status: 404, error: 'Task not found' };
+        }
+
+        if (parsed.value.subtaskId && !task.subtasks.id(parsed.value.subtaskId)) {
+            return { status: 404, error: 'Subtask not found' };
+        }
+    }
+
+    const record = await saveRecord(userId, id ? { ...parsed.value, _id: id } : parsed.value, task);
+
+    return { value: { record, task } };
+}
+
+const DEFAULT_RECORD_PAGE_SIZE = 100;
+const MAX_RECORD_PAGE_SIZE = 500;
+
+// Pages newest first by creation time; `before` is the id of the last
+// record on the previous page.
+async function queryRecords(userId, query, timeZone) {
+    const from = query.from || null;
+    const to = query.to || null;
+
+    if ((from && !isDayString(from)) || (to && !isDayString(to))) {
+        return { status: 400, error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_RECORD_PAGE_SIZE : parseCount(query.limit, 1);
+    if (limit === null || limit > MAX_RECORD_PAGE_SIZE) {
+        return { status: 400, error: `limit must be a whole number from 1 to ${MAX_RECORD_PAGE_SIZE}` };
+    }
+
+    const conditions = [exportRecordFilter(userId, { from, to, timeZone })];
+
+    if (query.kind) {
+        if (!RECORD_KINDS.includes(query.kind)) {
+            return { status: 400, error: `Kind must be one of: ${RECORD_KINDS.join(', ')}` };
+        }
+        conditions.push(query.kind === 'focus' ? { kind: { $in: ['focus', null] } } : { kind: query.kind });
+    }
+
+    if (query.taskId) {
+        if (!mongoose.isValidObjectId(query.taskId)) {
+            return { status: 400, error: 'Invalid taskId' };
+        }
+        conditions.push({ taskId: query.taskId });
+    }
+
+    if (query.before) {
+        const last = mongoose.isValidObjectId(query.before)
+            ? await Record.findOne({ _id: query.before, user: userId }).select('createdAt')
+            : null;
+
+        if (!last) {
+            return { status: 400, error: 'Invalid before cursor' };
+        }
+
+        conditions.push({
+            $or: [
+                { createdAt: { $lt: last.createdAt } },
+                { createdAt: last.createdAt, _id: { $lt: last._id } }
+            ]
+        });
+    }
+
+    const records = await Record.find({ $and: conditions })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1);
+
+    const hasMore = records.length > limit;
+    if (hasMore) records.pop();
+
+    return {
+        value: {
+            records,
+            next: hasMore ? records[records.length - 1]._id : null
+        }
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS - TRASH
+// ============================================
+
+function listTrash(userId) {
+    return Task.find({ user: userId, deletedAt: { $ne: null } }).sort({ deletedAt: -1, _id: -1 });
+}
+
+function formatTrashedTask(task, tree = false) {
+    return {
+        ...formatTask(task, tree),
+        purgeAt: new Date(task.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    };
+}
+
+// Takes tasks out of the trash: one by `id`, or a whole deleteAllTasks()
+// batch by `undoToken`. Returns the restored tasks. `userId` is the trash's
+// owner (see teamOwner()); `actor` who restores them, if someone else.
+async function restoreTasks(userId, { id, undoToken }, actor = userId) {
+    const filter = { user: userId, deletedAt: { $ne: null } };
+
+    if (id !== undefined) {
+        if (!mongoose.isValidObjectId(id)) {
+            return { status: 404, error: 'Task not found in trash' };
+        }
+        filter._id = id;
+    } else {
+        if (typeof undoToken !== 'string' || !mongoose.isValidObjectId(undoToken)) {
+            return { status: 400, error: 'undoToken is required' };
+        }
+        filter.deletedBatch = undoToken;
+    }
+
+    const trashed = await Task.find(filter);
+
+    if (trashed.length === 0) {
+        return id !== undefined
+            ? { status: 404, error: 'Task not found in trash' }
+            : { status: 404, error: 'Nothing to undo; the tasks were restored or purged' };
+    }
+
+    const ids = trashed.map(task => task._id);
+    await Task.updateMany(
+        { user: userId, _id: { $in: ids }, deletedAt: { $ne: null } },
+        { deletedAt: null, deletedBatch: null }
+    );
+    // Syncing clients see the tasks again as changes.
+    await Tombstone.deleteMany({ user: userId, kind: 'task', docId: { $in: ids } });
+
+    const tasks = await Task.find({ user: userId, _id: { $in: ids } }).sort({ position: 1, createdAt: 1 });
+    tasks.forEach(task => {
+        task.$locals.actor = actor;
+    });
+    await logActivity(tasks.map(task => taskActivity(task, 'task.restored')));
+    // They're all `userId`'s, so any of them says who should hear.
+    await publishTaskEvent(tasks[0], 'tasks.restored', { tasks: formatTasks(tasks, true) });
+
+    return { value: tasks };
+}
+
+// Deletes trashed tasks for good: one by `id`, or all of them. Returns how
+// many were deleted.
+async function purgeTrash(userId, id) {
+    const filter = { user: userId, deletedAt: { $ne: null } };
+
+    if (id !== undefined) {
+        if (!mongoose.isValidObjectId(id)) {
+            return { status: 404, error: 'Task not found in trash' };
+        }
+        filter._id = id;
+    }
+
+    const result = await Task.deleteMany(filter);
+
+    if (id !== undefined && result.deletedCount === 0) {
+        return { status: 404, error: 'Task not found in trash' };
+    }
+
+    return { value: result.deletedCount };
+}
+
+// ============================================
+// HELPER FUNCTIONS - ACTIVITY
+// ============================================
+
+const DEFAULT_ACTIVITY_PAGE_SIZE = 50;
+const MAX_ACTIVITY_PAGE_SIZE = 200;
+
+// The history is a record, not part of the request: failing to write it
+// is logged and doesn't fail the change being recorded.
+async function logActivity(entries) {
+    if (entries.length === 0) return;
+
+    try {
+        await Activity.insertMany(entries);
+    } catch (error) {
+        console.error('Error logging activity:', error);
+    }
+}
+
+function taskActivity(task, type, data = {}) {
+    return {
+        user: task.user,
+        type,
+        taskId: task._id,
+        taskName: task.name,
+        actor: task.$locals.actor || task.user,
+        data
+    };
+}
+
+function recordAccountActivity(userId, type, req) {
+    return logActivity([{
+        user: userId,
+        type,
+        actor: userId,
+        data: {
+            ip: req.ip,
+            userAgent: req.get('user-agent') || ''
+        }
+    }]);
+}
+
+function snapshotTask(task) {
+    task.$locals.logged = {
+        name: task.name,
+        num: task.num,
+        finish: task.finish,
+        status: task.status
+    };
+}
+
+// Entries for what changed since the task was loaded (or last recorded).
+function taskChangeEntries(task) {
+    const before = task.$locals.logged;
+    if (!before) return [];
+
+    const entries = [];
+    const change = (field) => ({ from: before[field], to: task[field] });
+
+    if (task.name !== before.name) {
+        entries.push(taskActivity(task, 'task.renamed', change('name')));
+    }
+    if (task.num !== before.num) {
+        entries.push(taskActivity(task, 'task.estimate_changed', change('num')));
+    }
+    if (task.finish !== before.finish) {
+        const type = task.finish > before.finish ? 'task.finish_incremented' : 'task.finish_changed';
+        entries.push(taskActivity(task, type, change('finish')));
+    }
+    if (task.status !== before.status) {
+        const type = { completed: 'task.completed', archived: 'task.archived' }[task.status] || 'task.reopened';
+        entries.push(taskActivity(task, type, change('status')));
+    }
+    return entries;
+}
+
+async function recordTaskChanges(task) {
+    const entries = taskChangeEntries(task);
+    snapshotTask(task);
+    await logActivity(entries);
+}
+
+function formatActivity(entry) {
+    return {
+        id: entry._id,
+        type: entry.type,
+        taskId: entry.taskId,
+        taskName: entry.taskName,
+        actor: entry.actor || entry.user,
+        data: entry.data,
+        createdAt: entry.createdAt
+    };
+}
+
+// Returns { entries, next }, newest first.
+async function queryActivity(userId, query, { taskId = null, includeAccount = true } = {}) {
+    const limit = query.limit === undefined ? DEFAULT_ACTIVITY_PAGE_SIZE : parseCount(query.limit, 1);
+    if (limit === null || limit > MAX_ACTIVITY_PAGE_SIZE) {
+        return { status: 400, error: `limit must be a whole number from 1 to ${MAX_ACTIVITY_PAGE_SIZE}` };
+    }
+
+    const filter = { user: userId };
+
+    if (taskId) {
+        filter.taskId = taskId;
+    } else if (!includeAccount) {
+        filter.taskId = { $ne: null };
+    }
+
+    if (query.type) {
+        const types = includeAccount ? ACTIVITY_TYPES : ACTIVITY_TYPES.filter(type => type.startsWith('task.'));
+        if (!types.includes(query.type)) {
+            return { status: 400, error: `type must be one of: ${types.join(', ')}` };
+        }
+        filter.type = query.type;
+    }
+
+    if (query.before) {
+        if (!mongoose.isValidObjectId(query.before)) {
+            return { status: 400, error: 'Invalid before cursor' };
+        }
+        filter._id = { $lt: query.before };
+    }
+
+    const entries = await Activity.find(filter).sort({ _id: -1 }).limit(limit + 1);
+
+    const hasMore = entries.length > limit;
+    if (hasMore) entries.pop();
+
+    return {
+        value: {
+            entries: entries.map(formatActivity),
+            next: hasMore ? entries[entries.length - 1]._id : null
+        }
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS - TEAMS
+// ============================================
+
+const MAX_TEAM_NAME_LENGTH = 100;
+const TEAM_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A team's shared tasks (and their trash and history) belong to this
+// instead of a user id.
+function teamOwner(teamId) {
+    return `team:${teamId}`;
+}
+
+// Whose tasks the user can work on: their own and their teams'.
+async function taskOwners(userId) {
+    const teams = await Team.find({ 'members.user': userId }).select('_id');
+    return [userId, ...teams.map(team => teamOwner(team._id))];
+}
+
+// The team, if the user is one of its members.
+function findTeam(userId, teamId) {
+    if (!mongoose.isValidObjectId(teamId)) return null;
+    return Team.findOne({ _id: teamId, 'members.user': userId });
+}
+
+function teamMember(team, userId) {
+    return team.members.find(member => member.user === userId) || null;
+}
+
+function isTeamOwner(team, userId) {
+    const member = teamMember(team, userId);
+    return Boolean(member && member.role === 'owner');
+}
+
+function countTeamOwners(team) {
+    return team.members.filter(member => member.role === 'owner').length;
+}
+
+function parseTeamName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'Team name is required' };
+    }
+    if (name.trim().length > MAX_TEAM_NAME_LENGTH) {
+        return { error: `Team name must be at most ${MAX_TEAM_NAME_LENGTH} characters` };
+    }
+    return { value: name.trim() };
+}
+
+async function userNames(userIds) {
+    const ids = userIds.filter(id => mongoose.isValidObjectId(id));
+    const users = ids.length ? await User.find({ _id: { $in: ids } }).select('name') : [];
+    return new Map(users.map(user => [user._id.toString(), user.name]));
+}
+
+async function formatTeam(team) {
+    const names = await userNames(team.members.map(member => member.user));
+
+    return {
+        id: team._id,
+        name: team.name,
+        members: team.members.map(member => ({
+            id: member.user,
+            name: names.get(member.user) || null,
+            role: member.role,
+            shareReport: member.shareReport,
+            joinedAt: member.joinedAt
+        })),
+        createdAt: team.createdAt
+    };
+}
+
+async function formatInvites(invites) {
+    const teams = await Team.find({ _id: { $in: invites.map(invite => invite.team) } }).select('name');
+    const teamNames = new Map(teams.map(team => [team._id.toString(), team.name]));
+    const names = await userNames(invites.flatMap(invite => [invite.user, invite.invitedBy]));
+
+    return invites.map(invite => ({
+        id: invite._id,
+        team: { id: invite.team, name: teamNames.get(invite.team.toString()) || null },
+        user: { id: invite.user, name: names.get(invite.user) || null },
+        invitedBy: { id: invite.invitedBy, name: names.get(invite.invitedBy) || null },
+        expiresAt: invite.expiresAt
+    }));
+}
+
+// Returns the invite and the invited user. Users with a verified email
+// also get a mail about it.
+async function inviteToTeam(team, inviterId, name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return { status: 400, error: 'Name is required' };
+    }
+
+    const user = await User.findOne({ name: name.trim() });
+
+    if (!user) {
+        return { status: 404, error: 'User not found' };
+    }
+
+    const userId = user._id.toString();
+
+    if (teamMember(team, userId)) {
+        return { status: 409, error: 'User is already a member' };
+    }
+
+    const invite = await TeamInvite.findOneAndUpdate(
+        { team: team._id, user: userId },
+        { invitedBy: inviterId, expiresAt: new Date(Date.now() + TEAM_INVITE_TTL_MS) },
+        { upsert: true, new: true }
+    );
+
+    if (user.email && user.emailVerified) {
+        await sendMail({
+            to: user.email,
+            subject: `Join ${team.name} on Orbit`,
+            text: `Hi ${user.name},\n\n`
+                + `You've been invited to the team "${team.name}" on Orbit. To accept, open:\n${APP_URL}/teams/invites\n\n`
+                + 'The invite expires in 7 days.'
+        });
+    }
+
+    return { value: { invite, name: user.name } };
+}
+
+// Returns the team joined.
+async function acceptTeamInvite(userId, inviteId) {
+    const invite = mongoose.isValidObjectId(inviteId)
+        ? await TeamInvite.findOneAndDelete({ _id: inviteId, user: userId, expiresAt: { $gt: new Date() } })
+        : null;
+
+    if (!invite) {
+        return { status: 404, error: 'Invite not found' };
+    }
+
+    const team = await Team.findOneAndUpdate(
+        { _id: invite.team, 'members.user': { $ne: userId } },
+        { $push: { members: { user: userId, role: 'member' } } },
+        { new: true }
+    ) || await Team.findById(invite.team);
+
+    if (!team) {
+        return { status: 404, error: 'Team not found' };
+    }
+
+    return { value: team };
+}
+
+// Owners change roles; members choose for themselves whether to share
+// their report.
+async function updateTeamMember(team, actorId, memberId, input) {
+    const member = teamMember(team, memberId);
+
+    if (!member) {
+        return { status: 404, error: 'Member not found' };
+    }
+
+    if (input.role === undefined && input.shareReport === undefined) {
+        return { status: 400, error: 'Nothing to update' };
+    }
+
+    if (input.role !== undefined) {
+        if (!TEAM_ROLES.includes(input.role)) {
+            return { status: 400, error: `role must be one of: ${TEAM_ROLES.join(', ')}` };
+        }
+        if (!isTeamOwner(team, actorId)) {
+            return { status: 403, error: 'Only team owners can change roles' };
+        }
+        if (member.role === 'owner' && input.role !== 'owner' && countTeamOwners(team) === 1) {
+            return { status: 409, error: 'A team needs at least one owner' };
+        }
+    }
+
+    if (input.shareReport !== undefined) {
+        if (typeof input.shareReport !== 'boolean') {
+            return { status: 400, error: 'shareReport must be true or false' };
+        }
+        if (memberId !== actorId) {
+            return { status: 403, error: 'Only members themselves can share their report' };
+        }
+    }
+
+    if (input.role !== undefined) member.role = input.role;
+    if (input.shareReport !== undefined) member.shareReport = input.shareReport;
+    await team.save();
+
+    return { value: team };
+}
+
+async function removeTeamMember(team, actorId, memberId) {
+    const member = teamMember(team, memberId);
+
+    if (!member) {
+        return { status: 404, error: 'Member not found' };
+    }
+
+    if (memberId !== actorId && !isTeamOwner(team, actorId)) {
+        return { status: 403, error: 'Only team owners can remove members' };
+    }
+
+    if (member.role === 'owner' && countTeamOwners(team) === 1) {
+        return { status: 409, error: 'The last owner can\'t leave; make someone else an owner or delete the team' };
+    }
+
+    team.members = team.members.filter(other => other.user !== memberId);
+    await team.save();
+
+    return { value: team };
+}
+
+async function deleteTeam(team) {
+    const owner = teamOwner(team._id);
+
+    await Promise.all([
+        Task.deleteMany({ user: owner }),
+        Activity.deleteMany({ user: owner }),
+        Tombstone.deleteMany({ user: owner }),
+        TeamInvite.deleteMany({ team: team._id })
+    ]);
+    await Team.deleteOne({ _id: team._id });
+}
+
+// For account deletion. A team left without owners gets its longest-standing
+// member as one; a team left empty is deleted.
+async function leaveAllTeams(userId) {
+    const teams = await Team.find({ 'members.user': userId });
+
+    for (const team of teams) {
+        const remaining = team.members.filter(member => member.user !== userId);
+
+        if (remaining.length === 0) {
+            await deleteTeam(team);
+            continue;
+        }
+
+        if (!remaining.some(member => member.role === 'owner')) {
+            remaining[0].role = 'owner';
+        }
+        team.members = remaining;
+        await team.save();
+    }
+
+    await TeamInvite.deleteMany({ user: userId });
+}
+
+// The members' own reports (see buildReport()), side by side: a leaderboard
+// by focus time, plus where the time on the team's tasks came from.
+async function buildTeamReport(team, { from, to, granularity, timeZone }) {
+    const sharing = team.members.filter(member => member.shareReport);
+    const users = await User.find({ _id: { $in: sharing.map(member => member.user) } }).select('name settings');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const teamTasks = await Task.find({ user: teamOwner(team._id) }).setOptions({ includeTrashed: true }).select('_id');
+    const teamTaskIds = new Set(teamTasks.map(task => task._id.toString()));
+
+    const members = [];
+    const byTask = new Map();
+
+    for (const member of sharing) {
+        const user = usersById.get(member.user);
+        if (!user) continue;
+
+        const report = await buildReport(member.user, { from, to, granularity, timeZone, settings: user.settings });
+
+        members.push({
+            id: member.user,
+            name: user.name,
+            totals: report.totals,
+            data: report.data.map(({ date, recordCount, focusMinutes }) => ({ date, recordCount, focusMinutes }))
+        });
+
+        report.byTask
+            .filter(entry => entry.taskId && teamTaskIds.has(entry.taskId.toString()))
+            .forEach(entry => {
+                const key = entry.taskId.toString();
+                if (!byTask.has(key)) {
+                    byTask.set(key, { taskId: entry.taskId, name: entry.name, pomodoros: 0, focusMinutes: 0, byMember: [] });
+                }
+                const taskTotals = byTask.get(key);
+                taskTotals.pomodoros += entry.pomodoros;
+                taskTotals.focusMinutes += entry.focusMinutes;
+                taskTotals.byMember.push({
+                    id: member.user,
+                    name: user.name,
+                    pomodoros: entry.pomodoros,
+                    focusMinutes: entry.focusMinutes
+                });
+            });
+    }
+
+    members.sort((a, b) => b.totals.focusMinutes - a.totals.focusMinutes || b.totals.pomodoros - a.totals.pomodoros);
+
+    return {
+        range: { from, to, granularity, timeZone },
+        members: members.map((member, index) => ({ rank: index + 1, ...member })),
+        totals: {
+            pomodoros: members.reduce((sum, member) => sum + member.totals.pomodoros, 0),
+            focusMinutes: members.reduce((sum, member) => sum + member.totals.focusMinutes, 0),
+            membersSharing: members.length,
+            membersNotSharing: team.members.length - members.length
+        },
+        teamTasks: [...byTask.values()].sort((a, b) => b.focusMinutes - a.focusMinutes)
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS - SYNC
+// ============================================
+
+const MAX_SYNC_OPERATIONS = 500;
+
+// Cursors point this far back, so writes that were in flight while the
+// changes were read are sent (again) next time. Clients apply changes as
+// upserts, so repeats are harmless.
+const SYNC_CURSOR_OVERLAP_MS = 5 * 1000;
+
+const SYNC_OPERATIONS = {
+    'task.create': { scope: 'tasks:write', apply: syncCreateTask },
+    'task.update': { scope: 'tasks:write', apply: syncUpdateTask },
+    'task.delete': { scope: 'tasks:write', apply: syncDeleteTask },
+    'record.create': { scope: 'records:write', apply: syncCreateRecord }
+};
+
+// For updateMany/bulkWrite, which skip the save hook: sets the fields and
+// keeps the version and field clocks up to date.
+function taskFieldUpdate(fields, changedAt = new Date()) {
+    const update = { $set: { ...fields }, $inc: { version: 1 } };
+    Object.keys(fields).forEach(field => {
+        update.$set[`fieldClocks.${field}`] = changedAt;
+    });
+    return update;
+}
+
+async function recordDeletions(userId, kind, ids) {
+    if (ids.length === 0) return;
+    await Tombstone.insertMany(ids.map(docId => ({ user: userId, kind, docId })));
+}
+
+async function isDeleted(userId, kind, id) {
+    return Boolean(await Tombstone.exists({ user: userId, kind, docId: id }));
+}
+
+function encodeSyncCursor(date) {
+    return Buffer.from(String(date.getTime())).toString('base64url');
+}
+
+// Returns the cursor's time, or null when it isn't one of ours.
+function decodeSyncCursor(cursor) {
+    if (typeof cursor !== 'string') return null;
+
+    const time = Number(Buffer.from(cursor, 'base64url').toString());
+    return Number.isInteger(time) && time > 0 && time <= Date.now() ? new Date(time) : null;
+}
+
+function parseSyncRequest(body) {
+    const operations = body.operations === undefined ? [] : body.operations;
+
+    if (!Array.isArray(operations)) {
+        return { error: 'operations must be a list' };
+    }
+
+    if (operations.length > MAX_SYNC_OPERATIONS) {
+        return { error: `A sync is limited to ${MAX_SYNC_OPERATIONS} operations` };
+    }
+
+    let since = null;
+    if (body.cursor !== undefined && body.cursor !== null) {
+        since = decodeSyncCursor(body.cursor);
+        if (!since) return { error: 'Invalid cursor' };
+    }
+
+    return { value: { operations, since } };
+}
+
+// When the client made an edit, as far as conflict resolution is
+// concerned. Clocks running ahead can't beat later edits from elsewhere.
+function syncChangedAt(value) {
+    const now = new Date();
+    const changedAt = parseDate(value);
+    return changedAt && changedAt < now ? changedAt : now;
+}
+
+// Ids taken by another user get the same answer as malformed ones, so sync
+// doesn't reveal which ids exist.
+const INVALID_SYNC_ID = { status: 'rejected', error: 'Invalid id' };
+
+// The change feed only covers the user's own tasks, so a team's tasks are
+// edited through the task routes instead.
+const TEAM_TASK_NOT_SYNCED = { status: 'rejected', error: 'Team tasks can\'t be synced; use /api/v1/tasks/:id' };
+
+// Result of one operation: { opId, type, id, status, ... } where status is
+// applied, duplicate, conflict, deleted (the target is gone), not_found or
+// rejected (with an error).
+async function applySyncOperation(req, operation) {
+    if (!operation || typeof operation !== 'object') {
+        return { status: 'rejected', error: 'Operation must be an object' };
+    }
+
+    const result = { opId: operation.opId, type: operation.type, id: operation.id };
+    const handler = SYNC_OPERATIONS[operation.type];
+
+    if (!handler) {
+        return { ...result, status: 'rejected', error: `type must be one of: ${Object.keys(SYNC_OPERATIONS).join(', ')}` };
+    }
+
+    if (typeof operation.id !== 'string' || !/^[0-9a-f]{24}$/i.test(operation.id)) {
+        return { ...result, ...INVALID_SYNC_ID };
+    }
+
+    if (req.authToken && !req.authToken.scopes.includes(handler.scope)) {
+        return { ...result, status: 'rejected', error: `Access token is missing the ${handler.scope} scope` };
+    }
+
+    const data = operation.data && typeof operation.data === 'object' ? operation.data : {};
+    return { ...result, ...(await handler.apply(req.userId, operation, data)) };
+}
+
+async function syncCreateTask(userId, operation, data) {
+    const existing = await Task.findById(operation.id).setOptions({ includeTrashed: true }).select('user deletedAt');
+
+    if (existing && existing.user !== userId) {
+        return INVALID_SYNC_ID;
+    }
+
+    if (existing) {
+        return { status: existing.deletedAt ? 'deleted' : 'duplicate' };
+    }
+
+    if (await isDeleted(userId, 'task', operation.id)) {
+        return { status: 'deleted' };
+    }
+
+    try {
+        const created = await createTask(userId, data, operation.id);
+        if (created.error) return { status: 'rejected', error: created.error };
+        return { status: 'applied', data: formatTask(created.value, true) };
+    } catch (error) {
+        // The same operation arrived twice at once.
+        if (error.code === 11000) return { status: 'duplicate' };
+        throw error;
+    }
+}
+
+async function syncUpdateTask(userId, operation, data) {
+    const parsed = parseTaskInput(data, { partial: true });
+
+    if (parsed.error) {
+        return { status: 'rejected', error: parsed.error };
+    }
+
+    const task = await findTask(userId, operation.id);
+
+    if (!task) {
+        return { status: await isDeleted(userId, 'task', operation.id) ? 'deleted' : 'not_found' };
+    }
+
+    if (task.teamId) {
+        return TEAM_TASK_NOT_SYNCED;
+    }
+
+    if (parsed.value.projectId && !(await projectExists(task.user, parsed.value.projectId))) {
+        return { status: 'rejected', error: 'Project not found' };
+    }
+
+    const changedAt = syncChangedAt(operation.changedAt);
+    const fields = { ...parsed.value };
+    const conflicts = [];
+
+    if (Number(operation.baseVersion) !== task.version) {
+        Object.keys(fields).forEach(field => {
+            const clock = task.fieldClocks.get(field) || task.createdAt;
+            if (clock > changedAt) {
+                conflicts.push(field);
+                delete fields[field];
+            }
+        });
+    }
+
+    if (Object.keys(fields).length > 0) {
+        const { recurrence, ...rest } = fields;
+        const settings = await getUserSettings(userId);
+
+        task.$locals.changedAt = changedAt;
+        applyTaskUpdate(task, rest, settings.autoCompleteTasks);
+        if (recurrence !== undefined) {
+            applyRecurrence(task, recurrence, todayString(settings.timezone));
+        }
+        await saveTask(task);
+    }
+
+    return conflicts.length > 0
+        ? { status: 'conflict', conflicts, data: formatTask(task, true) }
+        : { status: 'applied', data: formatTask(task, true) };
+}
+
+async function syncDeleteTask(userId, operation) {
+    const task = await findTask(userId, operation.id);
+
+    if (task && task.teamId) {
+        return TEAM_TASK_NOT_SYNCED;
+    }
+
+    const deleted = await deleteTask(userId, operation.id);
+
+    if (deleted.error) {
+        return { status: await isDeleted(userId, 'task', operation.id) ? 'duplicate' : 'not_found' };
+    }
+
+    return { status: 'applied' };
+}
+
+async function syncCreateRecord(userId, operation, data) {
+    const existing = await Record.findById(operation.id).select('user');
+
+    if (existing) {
+        return existing.user === userId ? { status: 'duplicate' } : INVALID_SYNC_ID;
+    }
+
+    try {
+        const created = await createRecord(userId, data, operation.id);
+        if (created.error) return { status: 'rejected', error: created.error };
+        return { status: 'applied', data: created.value.record };
+    } catch (error) {
+        if (error.code === 11000) return { status: 'duplicate' };
+        throw error;
+    }
+}
+
+async function collectSyncChanges(userId, since) {
+    // Read the clock before the data; see SYNC_CURSOR_OVERLAP_MS.
+    const syncedAt = new Date();
+    const reset = !since || since < new Date(syncedAt.getTime() - TOMBSTONE_TTL_SECONDS * 1000);
+    const changed = reset ? {} : { updatedAt: { $gt: since } };
+
+    const [tasks, records, projects, deletions] = await Promise.all([
+        Task.find({ user: userId, ...changed }).sort({ updatedAt: 1 }),
+        Record.find({ user: userId, ...changed }).sort({ updatedAt: 1 }),
+        Project.find({ user: userId, ...changed }).sort({ updatedAt: 1 }),
+        reset ? [] : Tombstone.find({ user: userId, deletedAt: { $gt: since } }).sort({ deletedAt: 1 })
+    ]);
+
+    return {
+        reset,
+        cursor: encodeSyncCursor(new Date(syncedAt.getTime() - SYNC_CURSOR_OVERLAP_MS)),
+        changes: {
+            tasks: formatTasks(tasks, true),
+            records,
+            projects,
+            deleted: deletions.map(tombstone => ({
+                type: tombstone.kind,
+                id: tombstone.docId,
+                deletedAt: tombstone.deletedAt
+            }))
+        }
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS - SETTINGS
+// ============================================
+
+function booleanSetting(key) {
+    return (value) => typeof value === 'boolean'
+        ? { value }
+        : { error: `${key} must be true or false` };
+}
+
+function wholeNumberSetting(key, min, max) {
+    return (value) => Number.isInteger(value) && value >= min && value <= max
+        ? { value }
+        : { error: `${key} must be a whole number from ${min} to ${max}` };
+}
+
+function goalMetricSetting(key) {
+    return (value) => GOAL_METRICS.includes(value)
+        ? { value }
+        : { error: `${key} must be one of: ${GOAL_METRICS.join(', ')}` };
+}
+
+// Parsers for each user-editable setting. Each returns { value } or { error }.
+const SETTINGS_PARSERS = {
+    timezone: (value) => canonicalTimeZone(value)
+        ? { value: canonicalTimeZone(value) }
+        : { error: 'timezone must be an IANA timezone name such as America/Los_Angeles' },
+    autoCompleteTasks: booleanSetting('autoCompleteTasks'),
+    rolloverTasks: booleanSetting('rolloverTasks'),
+    focusMinutes: wholeNumberSetting('focusMinutes', 1, MAX_TIMER_DURATION / 60),
+    shortBreakMinutes: wholeNumberSetting('shortBreakMinutes', 1, MAX_TIMER_DURATION / 60),
+    longBreakMinutes: wholeNumberSetting('longBreakMinutes', 1, MAX_TIMER_DURATION / 60),
+    longBreakInterval: wholeNumberSetting('longBreakInterval', 1, 12),
+    autoStartBreaks: booleanSetting('autoStartBreaks'),
+    autoStartFocus: booleanSetting('autoStartFocus'),
+    dailyGoal: wholeNumberSetting('dailyGoal', 0, 24 * 60),
+    dailyGoalMetric: goalMetricSetting('dailyGoalMetric'),
+    weeklyGoal: wholeNumberSetting('weeklyGoal', 0, 7 * 24 * 60),
+    weeklyGoalMetric: goalMetricSetting('weeklyGoalMetric')
+};
+
+function parseSettingsInput(input) {
+    const value = {};
+
+    for (const [key, raw] of Object.entries(input || {})) {
+        const parse = SETTINGS_PARSERS[key];
+        if (!parse) {
+            return { error: `Unknown setting: ${key}` };
+        }
+
+        const parsed = parse(raw);
+        if (parsed.error) return parsed;
+        value[key] = parsed.value;
+    }
+
+    if (Object.keys(value).length === 0) {
+        return { error: 'No settings to update' };
+    }
+
+    return { value };
+}
+
+function formatSettings(settings) {
+    const result = {};
+    Object.keys(SETTINGS_PARSERS).forEach(key => {
+        result[key] = settings[key];
+    });
+    return result;
+}
+
+// The ?tz= query parameter wins over the stored setting. Returns null when
+// the requested zone isn't a valid IANA name.
+async function resolveTimeZone(req) {
+    if (req.query.tz !== undefined) {
+        return canonicalTimeZone(req.query.tz);
+    }
+
+    // Settings saved before zones were canonicalized may hold an alias.
+    const settings = await getUserSettings(req.userId);
+    return canonicalTimeZone(settings.timezone) || 'UTC';
+}
+
+// Falls back to the schema defaults if the user no longer exists.
+// Teams (see teamOwner()) have no settings of their own and get the defaults.
+async function getUserSettings(userId) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId).select('settings') : null;
+    return (user || new User()).settings;
+}
+
+// Planned length of each kind of block for this user, in seconds.
+function plannedDurations(settings) {
+    return {
+        focus: settings.focusMinutes * 60,
+        short_break: settings.shortBreakMinutes * 60,
+        long_break: settings.longBreakMinutes * 60
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS - REPORTS
+// ============================================
+
+const REPORT_GRANULARITIES = ['day', 'week', 'month'];
+const MAX_REPORT_DAYS = 366 * 5;
+
+// Records written before `endedAt` existed fall back to their creation time.
+const RECORD_TIME = { $ifNull: ['$endedAt', '$createdAt'] };
+
+function parseReportQuery(query, timeZone) {
+    const granularity = query.granularity || 'day';
+    if (!REPORT_GRANULARITIES.includes(granularity)) {
+        return { error: `Granularity must be one of: ${REPORT_GRANULARITIES.join(', ')}` };
+    }
+
+    const to = query.to || todayString(timeZone);
+    const from = query.from || addDays(to, -6);
+
+    if (!isDayString(from) || !isDayString(to)) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+
+    if (from > to) {
+        return { error: 'from must not be after to' };
+    }
+
+    if (daysBetween(from, to) >= MAX_REPORT_DAYS) {
+        return { error: `Report range is limited to ${MAX_REPORT_DAYS} days` };
+    }
+
+    return { value: { from, to, granularity, timeZone } };
+}
+
+function bucketKey(day, granularity) {
+    if (granularity === 'month') return day.slice(0, 7);
+    if (granularity === 'week') {
+        const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+        return addDays(day, -((weekday + 6) % 7));
+    }
+    return day;
+}
+
+// `days` must be sorted ascending and `step` days apart to count as
+// consecutive (7 for weeks keyed by their Monday). The current streak
+// survives until the end of today (or this week), so a streak through
+// yesterday still counts.
+function calculateStreaks(days, today, step = 1) {
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    days.forEach(day => {
+        run = previous && addDays(previous, step) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = day;
+    });
+
+    const current = previous && (previous === today || addDays(previous, step) === today) ? run : 0;
+
+    return { current, longest };
+}
+
+// Completed focus blocks and focus seconds (interrupted blocks included)
+// for every day the user has any, in ascending order.
+async function getDailyTotals(userId, timeZone) {
+    const rows = await Record.aggregate([
+        {
+            $match: {
+                user: userId,
+                kind: { $in: ['focus', null] }
+            }
+        },
+        {
+            $group: {
+                _id: { $dateToString: { format: '%Y-%m-%d', date: RECORD_TIME, timezone: timeZone } },
+                pomodoros: { $sum: { $cond: ['$interrupted', 0, 1] } },
+                seconds: { $sum: { $ifNull: ['$actualDuration', DEFAULT_DURATIONS.focus] } }
+            }
+        },
+        {
+            $sort: { _id: 1 }
+        }
+    ]);
+
+    return new Map(rows.map(row => [row._id, { pomodoros: row.pomodoros, seconds: row.seconds }]));
+}
+
+function goalValue(totals, metric) {
+    if (!totals) return 0;
+    return metric === 'minutes' ? toMinutes(totals.seconds) : totals.pomodoros;
+}
+
+function goalProgress(value, target) {
+    return {
+        value,
+        target,
+        percent: percent(value, target),
+        met: target > 0 && value >= target
+    };
+}
+
+// Goal attainment for each day from `from` to `to`, today's and this week's
+// progress, and streaks of days (and weeks) on which the goal was met.
+function buildGoals(settings, dailyTotals, { from, to, today }) {
+    const daily = { metric: settings.dailyGoalMetric, target: settings.dailyGoal };
+    const weekly = { metric: settings.weeklyGoalMetric, target: settings.weeklyGoal };
+
+    const weeklyTotals = new Map();
+    dailyTotals.forEach((totals, day) => {
+        const week = bucketKey(day, 'week');
+        const weekTotals = weeklyTotals.get(week) || { pomodoros: 0, seconds: 0 };
+        weekTotals.pomodoros += totals.pomodoros;
+        weekTotals.seconds += totals.seconds;
+        weeklyTotals.set(week, weekTotals);
+    });
+
+    const dayProgress = (day) => goalProgress(goalValue(dailyTotals.get(day), daily.metric), daily.target);
+    const weekProgress = (week) => goalProgress(goalValue(weeklyTotals.get(week), weekly.metric), weekly.target);
+
+    const days = generateDateRange(from, to).map(day => ({ date: day, ...dayProgress(day) }));
+    const thisWeek = bucketKey(today, 'week');
+
+    return {
+        daily: {
+            ...daily,
+            today: dayProgress(today),
+            daysMet: days.filter(day => day.met).length,
+            days,
+            streaks: calculateStreaks([...dailyTotals.keys()].filter(day => dayProgress(day).met), today)
+        },
+        weekly: {
+            ...weekly,
+            thisWeek: { week: thisWeek, ...weekProgress(thisWeek) },
+            streaks: calculateStreaks([...weeklyTotals.keys()].filter(week => weekProgress(week).met), thisWeek, 7)
+        }
+    };
+}
+
+async function buildReport(userId, { from, to, granularity, timeZone, settings }) {
+    const rangeStart = startOfDay(from, timeZone);
+    const rangeEnd = startOfDay(addDays(to, 1), timeZone);
+
+    const rows = await Record.aggregate([
+        {
+            $match: {
+                user: userId,
+                $or: [
+                    { endedAt: { $gte: rangeStart, $lt: rangeEnd } },
+                    { endedAt: null, createdAt: { $gte: rangeStart, $lt: rangeEnd } }
+                ]
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    day: { $dateToString: { format: '%Y-%m-%d', date: RECORD_TIME, timezone: timeZone } },
+                    kind: { $ifNull: ['$kind', 'focus'] },
+                    taskId: '$taskId',
+                    projectId: '$projectId'
+                },
+                count: { $sum: 1 },
+                interrupted: { $sum: { $cond: ['$interrupted', 1, 0] } },
+                seconds: { $sum: { $ifNull: ['$actualDuration', DEFAULT_DURATIONS.focus] } }
+            }
+        }
+    ]);
+
+    const days = generateDateRange(from, to);
+    const buckets = new Map();
+    days.forEach(day => {
+        const key = bucketKey(day, granularity);
+        if (!buckets.has(key)) {
+            buckets.set(key, { date: key, recordCount: 0, focusSeconds: 0, breakSeconds: 0 });
+        }
+    });
+
+    const byKind = new Map(RECORD_KINDS.map(kind => [kind, {
+        kind,
+        count: 0,
+        interrupted: 0,
+        seconds: 0
+    }]));
+    const byTask = new Map();
+    const byProject = new Map();
+    const activeDays = new Set();
+
+    rows.forEach(({ _id, count, interrupted, seconds }) => {
+        const bucket = buckets.get(bucketKey(_id.day, granularity));
+        const completed = count - interrupted;
+
+        const kindTotals = byKind.get(_id.kind);
+        kindTotals.count += count;
+        kindTotals.interrupted += interrupted;
+        kindTotals.seconds += seconds;
+
+        if (_id.kind !== 'focus') {
+            bucket.breakSeconds += seconds;
+            return;
+        }
+
+        bucket.recordCount += completed;
+        bucket.focusSeconds += seconds;
+        if (completed > 0) activeDays.add(_id.day);
+
+        const taskKey = _id.taskId ? _id.taskId.toString() : null;
+        if (!byTask.has(taskKey)) {
+            byTask.set(taskKey, { taskId: _id.taskId || null, pomodoros: 0, seconds: 0 });
+        }
+        const taskTotals = byTask.get(taskKey);
+        taskTotals.pomodoros += completed;
+        taskTotals.seconds += seconds;
+
+        const projectKey = _id.projectId ? _id.projectId.toString() : null;
+        if (!byProject.has(projectKey)) {
+            byProject.set(projectKey, { projectId: _id.projectId || null, pomodoros: 0, seconds: 0 });
+        }
+        const projectTotals = byProject.get(projectKey);
+        projectTotals.pomodoros += completed;
+        projectTotals.seconds += seconds;
+    });
+
+    const taskIds = [...byTask.values()].map(entry => entry.taskId).filter(Boolean);
+    const tasks = taskIds.length
+        ? await Task.find({ _id: { $in: taskIds }, user: { $in: await taskOwners(userId) } }).setOptions({ includeTrashed: true }).select('name')
+        : [];
+    const taskNames = new Map(tasks.map(task => [task._id.toString(), task.name]));
+
+    const projectIds = [...byProject.values()].map(entry => entry.projectId).filter(Boolean);
+    const projects = projectIds.length
+        ? await Project.find({ _id: { $in: projectIds }, user: userId }).select('name color')
+        : [];
+    const projectsById = new Map(projects.map(project => [project._id.toString(), project]));
+
+    const today = todayString(timeZone);
+    const dailyTotals = await getDailyTotals(userId, timeZone);
+    const activeHistory = [...dailyTotals.keys()].filter(day => dailyTotals.get(day).pomodoros > 0);
+
+    const goals = buildGoals(settings, dailyTotals, { from, to, today });
+
+    const focus = byKind.get('focus');
+    const pomodoros = focus.count - focus.interrupted;
+    const focusSeconds = focus.seconds;
+    const breakSeconds = byKind.get('short_break').seconds + byKind.get('long_break').seconds;
+
+    return {
+        range: { from, to, granularity, timeZone },
+        data: [...buckets.values()].map(bucket => {
+            const entry = {
+                date: bucket.date,
+                recordCount: bucket.recordCount,
+                focusMinutes: toMinutes(bucket.focusSeconds),
+                breakMinutes: toMinutes(bucket.breakSeconds)
+            };
+            const goal = granularity === 'day'
+                ? { metric: settings.dailyGoalMetric, target: settings.dailyGoal }
+                : granularity === 'week' && { metric: settings.weeklyGoalMetric, target: settings.weeklyGoal };
+            if (goal && goal.target > 0) {
+                const totals = { pomodoros: bucket.recordCount, seconds: bucket.focusSeconds };
+                entry.goalMet = goalValue(totals, goal.metric) >= goal.target;
+            }
+            return entry;
+        }),
+        // The daily goal as /report first reported it, kept for clients
+        // built against that shape; `goals` has the full picture.
+        goal: {
+            dailyGoal: settings.dailyGoal,
+            daysMet: goals.daily.daysMet
+        },
+        goals,
+        totals: {
+            pomodoros,
+            focusMinutes: toMinutes(focusSeconds),
+            breakMinutes: toMinutes(breakSeconds),
+            interrupted: focus.interrupted,
+            activeDays: activeDays.size
+        },
+        averages: {
+            pomodorosPerDay: round2(pomodoros / days.length),
+            focusMinutesPerDay: round2(focusSeconds / 60 / days.length),
+            pomodorosPerActiveDay: activeDays.size ? round2(pomodoros / activeDays.size) : 0
+        },
+        byKind: [...byKind.values()].map(entry => ({
+            kind: entry.kind,
+            count: entry.count,
+            interrupted: entry.interrupted,
+            minutes: toMinutes(entry.seconds)
+        })),
+        byTask: [...byTask.values()]
+            .sort((a, b) => b.seconds - a.seconds)
+            .map(entry => ({
+                taskId: entry.taskId,
+                name: entry.taskId ? taskNames.get(entry.taskId.toString()) || null : null,
+                pomodoros: entry.pomodoros,
+                focusMinutes: toMinutes(entry.seconds)
+            })),
+        byProject: [...byProject.values()]
+            .sort((a, b) => b.seconds - a.seconds)
+            .map(entry => {
+                const project = entry.projectId && projectsById.get(entry.projectId.toString());
+                return {
+                    projectId: entry.projectId,
+                    name: project ? project.name : null,
+                    color: project ? project.color : null,
+                    pomodoros: entry.pomodoros,
+                    focusMinutes: toMinutes(entry.seconds)
+                };
+            }),
+        streaks: calculateStreaks(activeHistory, today)
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS - RECORDS
+// ============================================
+
+function parseDate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function parseBoolean(value) {
+    return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds) : null;
+}
+
+// Normalizes /recordAdd input (JSON body or legacy query string) into Record
+// fields, filling in whatever the client left out from what it did send and
+// from the user's planned `durations`.
+function parseRecordInput(input, durations = DEFAULT_DURATIONS) {
+    const kind = input.kind || 'focus';
+    if (!RECORD_KINDS.includes(kind)) {
+        return { error: `Kind must be one of: ${RECORD_KINDS.join(', ')}` };
+    }
+
+    const startedAt = parseDate(input.startedAt);
+    const endedAt = parseDate(input.endedAt);
+    if (startedAt === null || endedAt === null) {
+        return { error: 'startedAt and endedAt must be valid dates' };
+    }
+
+    const plannedDuration = parseDuration(input.plannedDuration);
+    const actualDuration = parseDuration(input.actualDuration);
+    if (plannedDuration === null || actualDuration === null) {
+        return { error: 'Durations must be non-negative numbers of seconds' };
+    }
+
+    if (input.taskId && !mongoose.isValidObjectId(input.taskId)) {
+        return { error: 'Invalid taskId' };
+    }
+
+    if (input.subtaskId && (!input.taskId || !mongoose.isValidObjectId(input.subtaskId))) {
+        return { error: 'subtaskId must be a valid ID and requires taskId' };
+    }
+
+    const value = {
+        kind,
+        interrupted: parseBoolean(input.interrupted),
+        plannedDuration: plannedDuration !== undefined ? plannedDuration : durations[kind],
+        taskId: input.taskId || undefined,
+        subtaskId: input.subtaskId || undefined
+    };
+
+    value.endedAt = endedAt || (startedAt && actualDuration !== undefined
+        ? new Date(startedAt.getTime() + actualDuration * 1000)
+        : new Date());
+
+    if (actualDuration !== undefined) {
+        value.actualDuration = actualDuration;
+    } else if (startedAt) {
+        value.actualDuration = Math.max(0, Math.round((value.endedAt - startedAt) / 1000));
+    } else {
+        value.actualDuration = value.plannedDuration;
+    }
+
+    value.startedAt = startedAt || new Date(value.endedAt.getTime() - value.actualDuration * 1000);
+
+    if (value.startedAt > value.endedAt) {
+        return { error: 'startedAt must be before endedAt' };
+    }
+
+    return { value };
+}
+
+// Saves a Record. A finished focus block counts towards its task (and
+// subtask), so clients don't have to follow up with /updateTask.
+async function saveRecord(userId, value, task) {
+    const record = new Record({
+        ...value,
+        projectId: task ? task.projectId : undefined,
+        user: userId
+    });
+
+    await record.save();
+    publishEvent(userId, 'record.created', { record }, 'records:read');
+
+    if (task && record.kind === 'focus' && !record.interrupted) {
+        const settings = await getUserSettings(userId);
+        applyTaskUpdate(task, { finish: task.finish + 1 }, settings.autoCompleteTasks);
+        if (record.subtaskId) {
+            const subtask = task.subtasks.id(record.subtaskId);
+            if (subtask) subtask.finish += 1;
+        }
+        await saveTask(task);
+    }
+
+    return record;
+}
+
+// ============================================
+// HELPER FUNCTIONS - TIMER
+// ============================================
+
+// Skipped or stopped blocks shorter than this aren't worth a Record.
+const MIN_RECORDED_BLOCK_MS = 60 * 1000;
+
+// In-process handles that settle running timers the moment they run out.
+// Lost on restart, which is why scheduleRunningTimers() runs at startup and
+// every timer route settles lazily too.
+const timerHandles = new Map();
+
+function parseTimerStartInput(input) {
+    const value = {};
+
+    if (input.kind !== undefined) {
+        if (!RECORD_KINDS.includes(input.kind)) {
+            return { error: `Kind must be one of: ${RECORD_KINDS.join(', ')}` };
+        }
+        value.kind = input.kind;
+    }
+
+    if (input.taskId !== undefined) {
+        if (input.taskId !== null && !mongoose.isValidObjectId(input.taskId)) {
+            return { error: 'Invalid taskId' };
+        }
+        value.taskId = input.taskId;
+    }
+
+    if (input.duration !== undefined) {
+        value.duration = parseCount(input.duration, 1);
+        if (value.duration === null || value.duration > MAX_TIMER_DURATION) {
+            return { error: `Duration must be a whole number of seconds from 1 to ${MAX_TIMER_DURATION}` };
+        }
+    }
+
+    return { value };
+}
+
+function timerElapsedMs(timer, now) {
+    return timer.elapsedMs + (timer.state === 'running' ? now - timer.resumedAt : 0);
+}
+
+function timerEndsAt(timer) {
+    if (timer.state !== 'running') return null;
+    return new Date(timer.resumedAt.getTime() + timer.plannedDuration * 1000 - timer.elapsedMs);
+}
+
+function formatTimer(timer, now = new Date()) {
+    const plannedMs = timer.plannedDuration * 1000;
+    const elapsedMs = Math.min(plannedMs, timerElapsedMs(timer, now));
+
+    return {
+        state: timer.state,
+        kind: timer.kind,
+        taskId: timer.taskId,
+        plannedDuration: timer.plannedDuration,
+        startedAt: timer.startedAt,
+        endsAt: timerEndsAt(timer),
+        elapsed: Math.floor(elapsedMs / 1000),
+        remaining: Math.ceil((plannedMs - elapsedMs) / 1000),
+        focusCount: timer.focusCount,
+        serverTime: now
+    };
+}
+
+function startTimer(timer, { kind, taskId, duration }, now, settings) {
+    timer.kind = kind || timer.kind;
+    if (taskId !== undefined) timer.taskId = taskId;
+    timer.plannedDuration = duration || plannedDurations(settings)[timer.kind];
+    timer.startedAt = now;
+    timer.resumedAt = now;
+    timer.elapsedMs = 0;
+    timer.state = 'running';
+}
+
+// Ends the current block and leaves the timer idle. With `advance`, the
+// timer suggests the next kind in the focus/break cycle; otherwise it
+// resets to the same kind. Returns the Record fields to save, if any.
+function endTimerBlock(timer, endedAt, { completed, advance }, settings) {
+    const elapsedMs = completed ? timer.plannedDuration * 1000 : timerElapsedMs(timer, endedAt);
+
+    const record = completed || elapsedMs >= MIN_RECORDED_BLOCK_MS ? {
+        kind: timer.kind,
+        startedAt: timer.startedAt,
+        endedAt,
+        plannedDuration: timer.plannedDuration,
+        actualDuration: Math.round(elapsedMs / 1000),
+        interrupted: !completed,
+        taskId: timer.kind === 'focus' && timer.taskId ? timer.taskId : undefined
+    } : null;
+
+    if (completed && timer.kind === 'focus') {
+        timer.focusCount += 1;
+    }
+
+    if (advance) {
+        if (timer.kind !== 'focus') {
+            timer.kind = 'focus';
+        } else {
+            timer.kind = timer.focusCount > 0 && timer.focusCount % settings.longBreakInterval === 0
+                ? 'long_break'
+                : 'short_break';
+        }
+    }
+
+    timer.state = 'idle';
+    timer.plannedDuration = plannedDurations(settings)[timer.kind];
+    timer.startedAt = null;
+    timer.resumedAt = null;
+    timer.elapsedMs = 0;
+
+    return record;
+}
+
+// After the cycle moves on, starts the next block right away if the user
+// auto-starts that kind.
+function autoStartTimer(timer, now, settings) {
+    const autoStart = timer.kind === 'focus' ? settings.autoStartFocus : settings.autoStartBreaks;
+    if (autoStart) startTimer(timer, {}, now, settings);
+}
+
+// The timer's task may have been deleted since the block started; the
+// time is still recorded, just not against it.
+async function saveTimerRecord(userId, value) {
+    const task = value.taskId ? await findTask(userId, value.taskId) : null;
+    return saveRecord(userId, { ...value, taskId: task ? task._id : undefined }, task);
+}
+
+const TIMER_STATE_FIELDS = [
+    'state', 'kind', 'taskId', 'plannedDuration', 'startedAt', 'resumedAt', 'elapsedMs', 'focusCount'
+];
+
+function timerSnapshot(timer) {
+    return Object.fromEntries(TIMER_STATE_FIELDS.map(field => [field, timer[field]]));
+}
+
+// Saves a timer whose block just ended (`before` is the timer as it was),
+// then the block's record, if any. Saving the timer first means a
+// concurrent change fails with a VersionError instead of double-recording.
+// If the record can't be written the timer is put back, so the block is
+// still there to settle, skip or stop again rather than lost.
+async function saveTimerBlock(timer, before, record) {
+    await timer.save();
+    if (!record) return null;
+
+    try {
+        return await saveTimerRecord(timer.user, record);
+    } catch (error) {
+        try {
+            timer.set(before);
+            await timer.save();
+        } catch (rollbackError) {
+            console.error('Error restoring timer:', rollbackError);
+        }
+        throw error;
+    }
+}
+
+// Completes a running timer whose time is up. With auto-start on, each
+// next block starts when the previous one ended, so blocks that ran out
+// while nobody was watching are all recorded.
+async function settleTimer(timer, settings) {
+    let settled = false;
+
+    try {
+        for (let endsAt = timerEndsAt(timer); endsAt && endsAt <= new Date(); endsAt = timerEndsAt(timer)) {
+            const before = timerSnapshot(timer);
+            const record = endTimerBlock(timer, endsAt, { completed: true, advance: true }, settings);
+            // Auto-start stops at the end of a cycle: a timer nobody is watching
+            // would otherwise keep logging focus blocks (and task progress) all
+            // night. The next cycle waits for someone to start it.
+            if (record.kind !== 'long_break') autoStartTimer(timer, endsAt, settings);
+            await saveTimerBlock(timer, before, record);
+            settled = true;
+
+            console.log(`✅ Timer completed: ${record.kind}`);
+        }
+    } finally {
+        // Blocks recorded before a failing one still count.
+        if (settled) timerChanged(timer);
+    }
+    return settled;
+}
+
+async function loadTimer(userId) {
+    const timer = await Timer.findOneAndUpdate(
+        { user: userId },
+        { $setOnInsert: { user: userId } },
+        { upsert: true, new: true }
+    );
+
+    try {
+        await settleTimer(timer, await getUserSettings(userId));
+    } catch (error) {
+        if (error.name !== 'VersionError') throw error;
+        return Timer.findOne({ user: userId });
+    }
+    return timer;
+}
+
+function scheduleTimer(timer) {
+    clearTimeout(timerHandles.get(timer.user));
+    timerHandles.delete(timer.user);
+
+    const endsAt = timerEndsAt(timer);
+    if (!endsAt) return;
+
+    const delay = Math.max(0, endsAt - Date.now());
+    timerHandles.set(timer.user, setTimeout(async () => {
+        timerHandles.delete(timer.user);
+        try {
+            await loadTimer(timer.user);
+        } catch (error) {
+            console.error('Error settling timer:', error);
+        }
+    }, delay));
+}
+
+// Call after every saved timer change.
+function timerChanged(timer) {
+    scheduleTimer(timer);
+    publishEvent(timer.user, 'timer.updated', { timer: formatTimer(timer) }, 'records:read');
+}
+
+async function scheduleRunningTimers() {
+    const timers = await Timer.find({ state: 'running' });
+    timers.forEach(scheduleTimer);
+}
+
+function sendTimerError(res, error, action) {
+    if (error.name === 'VersionError') {
+        return res.status(409).json({
+            success: false,
+            error: 'Timer was changed on another device, fetch it and try again'
+        });
+    }
+
+    console.error(`Error ${action} timer:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action} timer`
+    });
+}
+
+// ============================================
+// HELPER FUNCTIONS - EVENTS
+// ============================================
+
+// Connected /events streams, per user. This lives in process memory, so
+// with several instances each one only reaches the clients connected to it.
+const eventClients = new Map();
+
+const EVENT_RETRY_MS = 5000;
+
+// Keeps proxies from closing idle streams.
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+
+function addEventClient(userId, client) {
+    if (!eventClients.has(userId)) eventClients.set(userId, new Set());
+    eventClients.get(userId).add(client);
+}
+
+// Whether the session or access token the stream was opened with is still
+// valid: a session's idle lifetime or a token's expiresAt may have passed.
+async function eventClientAuthorized(client) {
+    const now = new Date();
+
+    if (client.sessionId) {
+        return Boolean(await Session.exists({ _id: client.sessionId, expiresAt: { $gt: now } }));
+    }
+    return Boolean(await AccessToken.exists({
+        _id: client.tokenId,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }));
+}
+
+function removeEventClient(userId, client) {
+    const clients = eventClients.get(userId);
+    if (!clients) return;
+
+    clients.delete(client);
+    if (clients.size === 0) eventClients.delete(userId);
+}
+
+// Ends every stream the user has open, e.g. once their account is gone, or
+// only those `filter` picks, e.g. the streams of a revoked session.
+function closeEventClients(userId, filter = () => true) {
+    const clients = eventClients.get(userId);
+    if (!clients) return;
+
+    clients.forEach(client => {
+        if (!filter(client)) return;
+        client.res.end();
+        clients.delete(client);
+    });
+    if (clients.size === 0) eventClients.delete(userId);
+}
+
+function closeSessionEventClients(userId, sessionIds) {
+    const ids = new Set(sessionIds.map(String));
+    closeEventClients(userId, client => ids.has(client.sessionId));
+}
+
+// Events about a team's task go to every member: the team's owner id
+// (see teamOwner()) has no streams of its own.
+async function publishTaskEvent(task, type, data) {
+    if (!task.teamId) return publishEvent(task.user, type, data, 'tasks:read');
+
+    const team = await Team.findById(task.teamId).select('members.user');
+    if (!team) return;
+    team.members.forEach(member => publishEvent(member.user, type, data, 'tasks:read'));
+}
+
+// Sends an event to every stream the user has open that may read `scope`.
+function publishEvent(userId, type, data, scope) {
+    const clients = eventClients.get(userId);
+    if (!clients) return;
+
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(client => {
+        if (client.scopes && !client.scopes.includes(scope)) return;
+        client.res.write(message);
+    });
+}
+
+// ============================================
+// HELPER FUNCTIONS - SESSIONS
+// ============================================
+
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Sliding renewal only writes to Mongo once per interval, not on every request.
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function sessionCookieOptions(expires) {
+    const options = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+    };
+    if (expires) options.expires = expires;
+    return options;
+}
+
+async function startSession(req, res, user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expires = new Date(Date.now() + SESSION_TTL_MS);
+
+    await Session.create({
+        user: user._id.toString(),
+        tokenHash: hashToken(token),
+        userAgent: req.get('user-agent') || '',
+        ip: req.ip,
+        lastSeenAt: new Date(),
+        expiresAt: expires
+    });
+
+    // Drop the pre-session cookie that carried the raw user id.
+    res.clearCookie('user', sessionCookieOptions());
+    res.cookie('session', token, sessionCookieOptions(expires));
+}
+
+async function findSession(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    return Session.findOne({
+        tokenHash: hashToken(token),
+        expiresAt: { $gt: new Date() }
+    });
+}
+
+async function touchSession(req, res, session) {
+    const now = new Date();
+    if (now - session.lastSeenAt < SESSION_TOUCH_INTERVAL_MS) return;
+
+    session.lastSeenAt = now;
+    session.expiresAt = new Date(now.getTime() + SESSION_TTL_MS);
+    session.userAgent = req.get('user-agent') || session.userAgent;
+    session.ip = req.ip;
+    await session.save();
+
+    res.cookie('session', req.cookies.session, sessionCookieOptions(session.expiresAt));
+}
+
+// Revokes every session of the user's but `keepId`, and their streams.
+async function revokeOtherSessions(userId, keepId) {
+    const others = await Session.find({ user: userId, _id: { $ne: keepId } }).select('_id');
+    const ids = others.map(session => session._id);
+
+    const result = await Session.deleteMany({ user: userId, _id: { $in: ids } });
+    closeSessionEventClients(userId, ids);
+    return result;
+}
+
+// Revokes every access token of the user's, and their streams.
+async function revokeAccessTokens(userId) {
+    const result = await AccessToken.deleteMany({ user: userId });
+    closeEventClients(userId, client => client.tokenId !== null);
+    return result;
+}
+
+// Returns the session that was ended, if there was one.
+async function endSession(res, token) {
+    const session = token && typeof token === 'string'
+        ? await Session.findOneAndDelete({ tokenHash: hashToken(token) })
+        : null;
+    if (session) closeSessionEventClients(session.user, [session._id]);
+
+    res.clearCookie('session', sessionCookieOptions());
+    res.clearCookie('user', sessionCookieOptions());
+    return session;
+}
+
+function formatSession(session, currentSession) {
+    return {
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: currentSession ? session._id.equals(currentSession._id) : false
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS - ACCOUNT
+// ============================================
+
+async function checkPassword(user, password) {
+    if (typeof password !== 'string') return false;
+    return bcrypt.compare(password, user.password);
+}
+
+// Returns { value: user } or { status, error }, like the task operations.
+async function renameUser(userId, input) {
+    const name = typeof input === 'string' ? input.trim() : '';
+
+    if (name.length < 3) {
+        return { status: 400, error: 'Name must be at least 3 characters' };
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+        return { status: 404, error: 'User not found' };
+    }
+
+    if (await User.exists({ name, _id: { $ne: user._id } })) {
+        return { status: 409, error: 'User already exists' };
+    }
+
+    const previousName = user.name;
+    user.name = name;
+
+    try {
+        await user.save();
+    } catch (error) {
+        // Someone else took the name since the check above.
+        if (error.code === 11000) return { status: 409, error: 'User already exists' };
+        throw error;
+    }
+
+    console.log(`✅ User renamed: ${previousName} -> ${user.name}`);
+
+    return { value: user };
+}
+
+// Confirms the password, then purges the account. Returns the purge counts.
+async function deleteUser(userId, password) {
+    if (!password) {
+        return { status: 400, error: 'Password is required' };
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+        return { status: 404, error: 'User not found' };
+    }
+
+    if (!await checkPassword(user, password)) {
+        return { status: 401, error: 'Invalid credentials' };
+    }
+
+    const deleted = await purgeUser(userId);
+
+    console.log(`✅ Account deleted: ${user.name}`);
+
+    return { value: deleted };
+}
+
+// Deletes everything keyed by the user, then the user itself, so an
+// interrupted purge can simply be retried. Returns per-collection counts.
+async function purgeUser(userId) {
+    clearTimeout(timerHandles.get(userId));
+    timerHandles.delete(userId);
+    closeEventClients(userId);
+    await leaveAllTeams(userId);
+
+    const [tasks, records, projects, timers, sessions, tokens] = await Promise.all([
+        Task.deleteMany({ user: userId }),
+        Record.deleteMany({ user: userId }),
+        Project.deleteMany({ user: userId }),
+        Timer.deleteMany({ user: userId }),
+        Session.deleteMany({ user: userId }),
+        AccessToken.deleteMany({ user: userId }),
+        MailToken.deleteMany({ user: userId }),
+        Tombstone.deleteMany({ user: userId }),
+        IdempotencyKey.deleteMany({ user: userId }),
+        Activity.deleteMany({ user: userId })
+    ]);
+    await User.deleteOne({ _id: userId });
+
+    return {
+        tasks: tasks.deletedCount,
+        records: records.deletedCount,
+        projects: projects.deletedCount,
+        sessions: sessions.deletedCount,
+        tokens: tokens.deletedCount,
+        timer: timers.deletedCount > 0
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS - EXPORT
+// ============================================
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' }
+};
+
+// Bumped whenever the JSON export layout changes, so imports can tell.
+const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+    'date', 'start_time', 'end_time', 'kind', 'planned_minutes', 'actual_minutes',
+    'interrupted', 'task', 'project', 'started_at', 'ended_at', 'record_id'
+];
+
+function parseExportQuery(query, timeZone) {
+    const format = query.format || 'json';
+    if (!EXPORT_FORMATS[format]) {
+        return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+    }
+
+    const from = query.from || null;
+    const to = query.to || null;
+
+    if ((from && !isDayString(from)) || (to && !isDayString(to))) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+
+    if (from && to && from > to) {
+        return { error: 'from must not be after to' };
+    }
+
+    return { value: { format, from, to, timeZone } };
+}
+
+// Mongo condition on a date field for the export's day range, or null.
+function exportRange({ from, to, timeZone }) {
+    if (!from && !to) return null;
+
+    const range = {};
+    if (from) range.$gte = startOfDay(from, timeZone);
+    if (to) range.$lt = startOfDay(addDays(to, 1), timeZone);
+    return range;
+}
+
+function exportRecordFilter(userId, options) {
+    const range = exportRange(options);
+    if (!range) return { user: userId };
+
+    return {
+        user: userId,
+        $or: [
+            { endedAt: range },
+            { endedAt: null, createdAt: range }
+        ]
+    };
+}
+
+function exportTaskFilter(userId, options) {
+    const range = exportRange(options);
+    return range ? { user: userId, createdAt: range } : { user: userId };
+}
+
+// Waits for the socket to drain instead of buffering the whole export. A
+// client that goes away mid-wait never drains, so its close ends the wait.
+async function writeChunk(res, chunk) {
+    if (res.destroyed) throw new Error('Client disconnected');
+    if (res.write(chunk)) return;
+
+    const waiting = new AbortController();
+    const closed = await Promise.race([
+        once(res, 'drain', { signal: waiting.signal }).then(() => false),
+        once(res, 'close', { signal: waiting.signal }).then(() => true)
+    ]).finally(() => waiting.abort());
+    if (closed) throw new Error('Client disconnected');
+}
+
+// Calls `fn` with each document the query finds, closing the cursor when
+// `fn` throws too, e.g. once the client has disconnected.
+async function forEachDocument(query, fn) {
+    const cursor = query.lean().cursor();
+    try {
+        for await (const doc of cursor) await fn(doc);
+    } finally {
+        await cursor.close();
+    }
+}
+
+function exportDocument(doc) {
+    const { user, __v, ...rest } = doc;
+    return rest;
+}
+
+// Start and end of a record; older records only have `createdAt`.
+function recordBounds(record) {
+    const endedAt = record.endedAt || record.createdAt;
+    const seconds = record.actualDuration ?? DEFAULT_DURATIONS.focus;
+    const startedAt = record.startedAt || new Date(endedAt.getTime() - seconds * 1000);
+    return { startedAt, endedAt };
+}
+
+// Task and project names by id, for the flat CSV and ICS formats.
+async function exportNames(userId) {
+    const [tasks, projects] = await Promise.all([
+        Task.find({ user: userId }).setOptions({ includeTrashed: true }).select('name').lean(),
+        Project.find({ user: userId }).select('name').lean()
+    ]);
+
+    return {
+        tasks: new Map(tasks.map(task => [task._id.toString(), task.name])),
+        projects: new Map(projects.map(project => [project._id.toString(), project.name]))
+    };
+}
+
+function nameOf(names, id) {
+    return id ? names.get(id.toString()) || '' : '';
+}
+
+async function writeJsonExport(res, userId, options) {
+    const user = await User.findById(userId);
+    const projects = await Project.find({ user: userId }).sort({ createdAt: 1 }).lean();
+
+    await writeChunk(res, '{'
+        + `"version":${EXPORT_VERSION},`
+        + `"exportedAt":${JSON.stringify(new Date())},`
+        + `"range":${JSON.stringify({ from: options.from, to: options.to, timeZone: options.timeZone })},`
+        + `"user":${JSON.stringify({ name: user.name, email: user.email || null, createdAt: user.createdAt })},`
+        + `"settings":${JSON.stringify(formatSettings(user.settings))},`
+        + `"projects":${JSON.stringify(projects.map(exportDocument))},`
+        + '"tasks":[');
+
+    let first = true;
+    await forEachDocument(Task.find(exportTaskFilter(userId, options)).sort({ createdAt: 1 }), async task => {
+        await writeChunk(res, (first ? '' : ',') + JSON.stringify(exportDocument(task)));
+        first = false;
+    });
+
+    await writeChunk(res, '],"records":[');
+
+    first = true;
+    await forEachDocument(Record.find(exportRecordFilter(userId, options)).sort({ createdAt: 1 }), async record => {
+        await writeChunk(res, (first ? '' : ',') + JSON.stringify(exportDocument(record)));
+        first = false;
+    });
+
+    await writeChunk(res, ']}');
+}
+
+// Spreadsheets run cells starting with =, +, - or @ as formulas, and skip
+// a leading tab or carriage return to find one, so those (task and project
+// names are the user's own text) get a leading quote.
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function localTime(date, timeZone) {
+    const { hour, minute, second } = zonedParts(date, timeZone);
+    return `${hour}:${minute}:${second}`;
+}
+
+async function writeCsvExport(res, userId, options) {
+    const { timeZone } = options;
+    const names = await exportNames(userId);
+
+    // The byte order mark makes Excel read the file as UTF-8.
+    await writeChunk(res, '\ufeff' + CSV_COLUMNS.join(',') + '\r\n');
+
+    const records = Record.find(exportRecordFilter(userId, options)).sort({ endedAt: 1, createdAt: 1 });
+    await forEachDocument(records, async record => {
+        const { startedAt, endedAt } = recordBounds(record);
+        const row = [
+            dayString(endedAt, timeZone),
+            localTime(startedAt, timeZone),
+            localTime(endedAt, timeZone),
+            record.kind || 'focus',
+            record.plannedDuration !== undefined ? toMinutes(record.plannedDuration) : '',
+            toMinutes(record.actualDuration ?? DEFAULT_DURATIONS.focus),
+            record.interrupted ? 'true' : 'false',
+            nameOf(names.tasks, record.taskId),
+            nameOf(names.projects, record.projectId),
+            startedAt.toISOString(),
+            endedAt.toISOString(),
+            record._id.toString()
+        ];
+        await writeChunk(res, row.map(csvField).join(',') + '\r\n');
+    });
+}
+
+function icsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RFC 5545 lines are at most 75 octets; longer ones continue on lines
+// starting with a space. Never split a multi-byte character.
+function icsLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        if (size + charSize > (chunks.length ? 74 : 75)) {
+            chunks.push(chunk);
+            chunk = '';
+            size = 0;
+        }
+        chunk += char;
+        size += charSize;
+    }
+    chunks.push(chunk);
+
+    return chunks.join('\r\n ') + '\r\n';
+}
+
+async function writeIcsExport(res, userId, options) {
+    const names = await exportNames(userId);
+    const stamp = icsDate(new Date());
+
+    await writeChunk(res, [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Orbit//Pomodoro Export//EN',
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:Orbit focus sessions'
+    ].map(icsLine).join(''));
+
+    const filter = { ...exportRecordFilter(userId, options), kind: { $in: ['focus', null] } };
+    await forEachDocument(Record.find(filter).sort({ endedAt: 1, createdAt: 1 }), async record => {
+        const { startedAt, endedAt } = recordBounds(record);
+        const task = nameOf(names.tasks, record.taskId);
+        const project = nameOf(names.projects, record.projectId);
+        const details = [
+            project && `Project: ${project}`,
+            record.interrupted && 'Interrupted'
+        ].filter(Boolean);
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${record._id}@orbit`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${icsDate(startedAt)}`,
+            `DTEND:${icsDate(endedAt)}`,
+            `SUMMARY:${icsText(task ? `Focus: ${task}` : 'Focus')}`
+        ];
+        if (details.length) lines.push(`DESCRIPTION:${icsText(details.join('\n'))}`);
+        lines.push('END:VEVENT');
+
+        await writeChunk(res, lines.map(icsLine).join(''));
+    });
+
+    await writeChunk(res, icsLine('END:VCALENDAR'));
+}
+
+// ============================================
+// HELPER FUNCTIONS - IMPORT
+// ============================================
+
+const IMPORT_FORMATS = ['orbit', 'csv'];
+const MAX_IMPORT_ROWS = 10000;
+
+// Only the first errors are listed; the counts cover all of them.
+const MAX_IMPORT_ERRORS = 200;
+
+// Task fields copied from an Orbit export. Ids are reassigned, and
+// projectId and seriesId are mapped onto the new ones.
+const ORBIT_TASK_FIELDS = [
+    'name', 'num', 'finish', 'day', 'description', 'dueDate', 'priority',
+    'tags', 'status', 'completedAt', 'subtasks', 'recurrence'
+];
+
+// Header names (lowercased) accepted for each task field in generic CSVs.
+const CSV_TASK_COLUMNS = {
+    name: ['name', 'title', 'task', 'content'],
+    description: ['description', 'notes', 'note'],
+    num: ['num', 'estimate', 'pomodoros'],
+    finish: ['finish', 'finished'],
+    day: ['day', 'date', 'planned'],
+    dueDate: ['duedate', 'due date', 'due'],
+    priority: ['priority'],
+    tags: ['tags', 'labels'],
+    status: ['status'],
+    project: ['project', 'list']
+};
+
+// Todoist's CSV priorities run from 1 (most urgent) to 4 (none).
+const TODOIST_PRIORITIES = { 1: 'high', 2: 'medium', 3: 'low', 4: 'none' };
+
+function createImportReport(dryRun) {
+    return {
+        dryRun,
+        projects: { created: 0, matched: 0, failed: 0 },
+        tasks: { created: 0, duplicates: 0, failed: 0 },
+        subtasks: { created: 0, failed: 0 },
+        records: { created: 0, duplicates: 0, failed: 0 },
+        errors: []
+    };
+}
+
+// `row` is 1-based: the item's index in an export, or the CSV row number
+// counting the header as row 1.
+function importError(report, section, row, error) {
+    report[section].failed += 1;
+    if (report.errors.length < MAX_IMPORT_ERRORS) {
+        report.errors.push({ section, row, error });
+    }
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks.
+// Blank lines come back as rows with a single empty cell.
+function parseCsv(text) {
+    const input = text.replace(/^\ufeff/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function isBlankRow(cells) {
+    return cells.every(cell => !cell.trim());
+}
+
+// Looks projects up by name (case-insensitively) and creates missing ones;
+// a dry run counts them without saving.
+async function createProjectResolver(userId, report) {
+    const projects = new Map();
+    const matched = new Set();
+
+    (await Project.find({ user: userId }).select('name').lean()).forEach(project => {
+        projects.set(project.name.toLowerCase(), project._id);
+    });
+
+    return async (input) => {
+        const parsed = parseProjectInput(input);
+        if (parsed.error) return parsed;
+
+        const key = parsed.value.name.toLowerCase();
+        if (projects.has(key)) {
+            if (!matched.has(key)) report.projects.matched += 1;
+            matched.add(key);
+            return { value: projects.get(key) };
+        }
+
+        const project = new Project({ ...parsed.value, user: userId });
+        if (!report.dryRun) await project.save();
+
+        projects.set(key, project._id);
+        matched.add(key);
+        report.projects.created += 1;
+        return { value: project._id };
+    };
+}
+
+async function importOrbitExport(userId, data, report) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.tasks) || !Array.isArray(data.records)) {
+        return { error: 'Body must be an Orbit JSON export with tasks and records' };
+    }
+
+    if (data.version > EXPORT_VERSION) {
+        return { error: `Export version ${data.version} is newer than this server supports` };
+    }
+
+    const projects = Array.isArray(data.projects) ? data.projects : [];
+    if (projects.length + data.tasks.length + data.records.length > MAX_IMPORT_ROWS) {
+        return { error: `Imports are limited to ${MAX_IMPORT_ROWS} items` };
+    }
+
+    const resolveProject = await createProjectResolver(userId, report);
+    const projectIds = new Map();
+
+    for (const [index, project] of projects.entries()) {
+        const resolved = project && typeof project === 'object'
+            ? await resolveProject({ name: project.name, color: project.color, archived: project.archived })
+            : { error: 'Project must be an object' };
+
+        if (resolved.error) {
+            importError(report, 'projects', index + 1, resolved.error);
+            continue;
+        }
+        projectIds.set(String(project._id), resolved.value);
+    }
+
+    const taskIds = await importOrbitTasks(userId, data.tasks, projectIds, report);
+    await importOrbitRecords(userId, data.records, taskIds, projectIds, report);
+
+    return { value: report };
+}
+
+// A task counts as a duplicate of one with the same name created at the
+// same instant, which is what re-importing an export produces. Fields are
+// checked as creating the task would check them. Returns exported task ids
+// mapped to the new (or already existing) ones.
+async function importOrbitTasks(userId, tasks, projectIds, report) {
+    const settings = await getUserSettings(userId);
+    const today = todayString(settings.timezone);
+
+    const existing = new Map();
+    (await Task.find({ user: userId }).select('name createdAt').lean()).forEach(task => {
+        existing.set(`${task.name}|${task.createdAt.toISOString()}`, task._id);
+    });
+
+    // Keep the exported manual order, after the user's current tasks.
+    const order = tasks
+        .map((task, index) => index)
+        .sort((a, b) => ((tasks[a] && tasks[a].position) ?? -Infinity) - ((tasks[b] && tasks[b].position) ?? -Infinity) || a - b);
+    const rank = new Map(order.map((index, position) => [index, position]));
+    const basePosition = await nextTaskPosition(userId);
+
+    const taskIds = new Map();
+    const pending = [];
+
+    for (const [index, input] of tasks.entries()) {
+        const row = index + 1;
+
+        if (!input || typeof input !== 'object') {
+            importError(report, 'tasks', row, 'Task must be an object');
+            continue;
+        }
+
+        const exportedId = input._id ? String(input._id) : null;
+        const createdAt = parseDate(input.createdAt) || new Date();
+        const key = `${input.name}|${createdAt.toISOString()}`;
+
+        if (existing.has(key)) {
+            if (exportedId) taskIds.set(exportedId, existing.get(key));
+            report.tasks.duplicates += 1;
+            continue;
+        }
+
+        const fields = {};
+        ORBIT_TASK_FIELDS.forEach(field => {
+            if (input[field] !== undefined) fields[field] = input[field];
+        });
+
+        const parsed = parseTaskInput(fields);
+        if (parsed.error) {
+            importError(report, 'tasks', row, parsed.error);
+            continue;
+        }
+
+        const { recurrence, ...values } = parsed.value;
+        const task = new Task({
+            ...values,
+            completedAt: fields.completedAt,
+            subtasks: fields.subtasks,
+            user: userId,
+            projectId: input.projectId ? projectIds.get(String(input.projectId)) || null : null,
+            position: basePosition + rank.get(index) * TASK_POSITION_STEP,
+            createdAt,
+            // When it arrived here, so syncing clients pick it up.
+            updatedAt: new Date()
+        });
+
+        // The first instance of a series is its own seriesId, so map this
+        // task before resolving it. An instance whose series root isn't in
+        // the import starts a series of its own.
+        if (exportedId) taskIds.set(exportedId, task._id);
+        task.seriesId = input.seriesId ? taskIds.get(String(input.seriesId)) || null : null;
+        if (recurrence) {
+            applyRecurrence(task, recurrence, today);
+            if (isDayString(input.recurrence.anchor)) task.recurrence.anchor = input.recurrence.anchor;
+        }
+
+        try {
+            await task.validate();
+        } catch (error) {
+            if (exportedId) taskIds.delete(exportedId);
+            importError(report, 'tasks', row, error.message);
+            continue;
+        }
+
+        existing.set(key, task._id);
+        pending.push(task);
+        report.tasks.created += 1;
+    }
+
+    if (!report.dryRun) {
+        for (const task of pending) {
+            await task.save({ timestamps: false });
+        }
+        await logActivity(pending.map(task => taskActivity(task, 'task.created', { imported: true })));
+    }
+
+    return taskIds;
+}
+
+function importRecordKey(kind, endedAt) {
+    return `${kind || 'focus'}|${endedAt.toISOString()}`;
+}
+
+// Records keep their original timestamps; one of the same kind ending at
+// the same instant is a duplicate. Imported focus blocks don't bump their
+// task's finish count - the exported task already includes them.
+async function importOrbitRecords(userId, records, taskIds, projectIds, report) {
+    const existing = new Set();
+    (await Record.find({ user: userId }).select('kind endedAt createdAt').lean()).forEach(record => {
+        existing.add(importRecordKey(record.kind, record.endedAt || record.createdAt));
+    });
+
+    const pending = [];
+
+    for (const [index, input] of records.entries()) {
+        const row = index + 1;
+
+        if (!input || typeof input !== 'object') {
+            importError(report, 'records', row, 'Record must be an object');
+            continue;
+        }
+
+        if (!input.endedAt && !input.createdAt) {
+            importError(report, 'records', row, 'Record needs endedAt or createdAt');
+            continue;
+        }
+
+        // Records whose task isn't in the import (e.g. a date-filtered export) stay unlinked.
+        const taskId = input.taskId ? taskIds.get(String(input.taskId)) : undefined;
+        const parsed = parseRecordInput({
+            ...input,
+            endedAt: input.endedAt || input.createdAt,
+            taskId: taskId ? taskId.toString() : undefined,
+            subtaskId: taskId ? input.subtaskId : undefined
+        });
+
+        if (parsed.error) {
+            importError(report, 'records', row, parsed.error);
+            continue;
+        }
+
+        const key = importRecordKey(parsed.value.kind, parsed.value.endedAt);
+        if (existing.has(key)) {
+            report.records.duplicates += 1;
+            continue;
+        }
+
+        const createdAt = parseDate(input.createdAt) || parsed.value.endedAt;
+        const record = new Record({
+            ...parsed.value,
+            user: userId,
+            projectId: input.projectId ? projectIds.get(String(input.projectId)) : undefined,
+            createdAt,
+            updatedAt: new Date()
+        });
+
+        try {
+            await record.validate();
+        } catch (error) {
+            importError(report, 'records', row, error.message);
+            continue;
+        }
+
+        existing.add(key);
+        pending.push(record);
+        report.records.created += 1;
+    }
+
+    if (!report.dryRun) {
+        for (const record of pending) {
+            await record.save({ timestamps: false });
+        }
+    }
+}
+
+async function importCsv(userId, text, report) {
+    if (typeof text !== 'string') {
+        return { error: 'CSV imports must be sent with Content-Type: text/csv' };
+    }
+
+    const rows = parseCsv(text);
+    if (rows.length === 0 || isBlankRow(rows[0])) {
+        return { error: 'CSV must start with a header row' };
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        return { error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` };
+    }
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const entries = header.includes('type') && header.includes('content')
+        ? todoistEntries(header, rows)
+        : csvEntries(header, rows);
+
+    if (entries.error) return entries;
+
+    await importTaskEntries(userId, entries.value, report);
+    return { value: report };
+}
+
+// Todoist exports one project per file, with section rows between tasks
+// and INDENT > 1 for subtasks. Sections become tags, and so do @labels,
+// which Todoist leaves inline in the task's content.
+function todoistEntries(header, rows) {
+    const column = (cells, name) => (cells[header.indexOf(name)] || '').trim();
+    const entries = [];
+    let section = null;
+
+    rows.slice(1).forEach((cells, index) => {
+        const type = column(cells, 'type').toLowerCase();
+
+        if (type === 'section') {
+            section = column(cells, 'content') || null;
+            return;
+        }
+        if (type !== 'task') return;
+
+        const labels = [];
+        const name = column(cells, 'content')
+            .replace(/(^|\s)@(\S+)/g, (match, space, label) => {
+                labels.push(label);
+                return space;
+            })
+            .trim();
+        const due = column(cells, 'date');
+
+        entries.push({
+            row: index + 2,
+            subtask: parseInt(column(cells, 'indent')) > 1,
+            input: {
+                name,
+                description: column(cells, 'description'),
+                priority: TODOIST_PRIORITIES[column(cells, 'priority')] || 'none',
+                tags: section ? [section, ...labels] : labels,
+                // Recurring or natural-language dates ("every day") aren't carried over.
+                dueDate: isDayString(due) ? due : undefined
+            }
+        });
+    });
+
+    return { value: entries };
+}
+
+function csvEntries(header, rows) {
+    const columns = {};
+    Object.entries(CSV_TASK_COLUMNS).forEach(([field, names]) => {
+        const index = header.findIndex(name => names.includes(name));
+        if (index !== -1) columns[field] = index;
+    });
+
+    if (columns.name === undefined) {
+        return { error: `CSV header needs a task name column (one of: ${CSV_TASK_COLUMNS.name.join(', ')})` };
+    }
+
+    const entries = [];
+
+    rows.slice(1).forEach((cells, index) => {
+        if (isBlankRow(cells)) return;
+
+        const input = {};
+        let project;
+
+        Object.entries(columns).forEach(([field, column]) => {
+            const cell = (cells[column] || '').trim();
+            if (field === 'project') {
+                project = cell || undefined;
+            } else if (cell || field === 'name') {
+                input[field] = field === 'priority' || field === 'status' ? cell.toLowerCase() : cell;
+            }
+        });
+
+        entries.push({ row: index + 2, input, project });
+    });
+
+    return { value: entries };
+}
+
+function importTaskKey(name, day) {
+    return `${name.trim().toLowerCase()}|${day || ''}`;
+}
+
+// Creates tasks from CSV rows. A task with the same name planned for the
+// same day (or both unscheduled) is a duplicate. Subtask rows attach to the
+// last task above them.
+async function importTaskEntries(userId, entries, report) {
+    const existing = new Set(
+        (await Task.find({ user: userId }).select('name day').lean()).map(task => importTaskKey(task.name, task.day))
+    );
+    const resolveProject = await createProjectResolver(userId, report);
+    let position = await nextTaskPosition(userId);
+    const pending = [];
+    // The task subtask rows attach to; null once that task was skipped.
+    let parent;
+
+    for (const entry of entries) {
+        const parsed = parseTaskInput(entry.input);
+
+        if (entry.subtask && parent !== undefined) {
+            if (parsed.error) {
+                importError(report, 'subtasks', entry.row, parsed.error);
+            } else if (parent && parent.subtasks.length >= MAX_SUBTASKS) {
+                importError(report, 'subtasks', entry.row, `A task can have at most ${MAX_SUBTASKS} subtasks`);
+            } else if (parent) {
+                parent.subtasks.push({
+                    name: parsed.value.name,
+                    position: parent.subtasks.length * TASK_POSITION_STEP + TASK_POSITION_STEP
+                });
+                report.subtasks.created += 1;
+            }
+            continue;
+        }
+
+        if (parsed.error) {
+            importError(report, 'tasks', entry.row, parsed.error);
+            parent = null;
+            continue;
+        }
+
+        const { value } = parsed;
+        const key = importTaskKey(value.name, value.day);
+
+        if (existing.has(key)) {
+            report.tasks.duplicates += 1;
+            parent = null;
+            continue;
+        }
+
+        let projectId = null;
+        if (entry.project) {
+            const resolved = await resolveProject({ name: entry.project });
+            if (resolved.error) {
+                importError(report, 'tasks', entry.row, resolved.error);
+                parent = null;
+                continue;
+            }
+            projectId = resolved.value;
+        }
+
+        const task = new Task({
+            ...value,
+            status: value.status || 'active',
+            completedAt: value.status === 'completed' ? new Date() : null,
+            projectId,
+            position,
+            user: userId
+        });
+
+        try {
+            await task.validate();
+        } catch (error) {
+            importError(report, 'tasks', entry.row, error.message);
+            parent = null;
+            continue;
+        }
+
+        position += TASK_POSITION_STEP;
+        existing.add(key);
+        pending.push(task);
+        parent = task;
+        report.tasks.created += 1;
+    }
+
+    if (!report.dryRun) {
+        for (const task of pending) {
+            await task.save();
+        }
+        await logActivity(pending.map(task => taskActivity(task, 'task.created', { imported: true })));
+    }
+}
+
+// ============================================
+// HELPER FUNCTIONS - RATE LIMITING
+// ============================================
+
+// After this many failed logins for one account within the failure window,
+// the account is locked; the lock doubles with every further failure.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+const LOCKOUT_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Every store keeps fixed-window counters and offers
+//   get(key)                     -> { count, resetAt } or null
+//   increment(key, windowMs)     -> { count, resetAt }, opening a window if needed
+//   set(key, count, windowMs)
+//   reset(key)
+// RATE_LIMIT_STORE picks one: memory (the default, per process) or mongo
+// (shared across instances).
+const rateLimitStores = {
+    memory() {
+        const entries = new Map();
+
+        const live = (key) => {
+            const entry = entries.get(key);
+            if (entry && entry.resetAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry || null;
+        };
+
+        setInterval(() => {
+            const now = Date.now();
+            entries.forEach((entry, key) => {
+                if (entry.resetAt <= now) entries.delete(key);
+            });
+        }, 60 * 1000).unref();
+
+        return {
+            async get(key) {
+                const entry = live(key);
+                return entry && { ...entry };
+            },
+            async increment(key, windowMs) {
+                const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+                entry.count += 1;
+                entries.set(key, entry);
+                return { ...entry };
+            },
+            async set(key, count, windowMs) {
+                entries.set(key, { count, resetAt: Date.now() + windowMs });
+            },
+            async reset(key) {
+                entries.delete(key);
+            }
+        };
+    },
+
+    mongo() {
+        const toEntry = (doc) => doc && { count: doc.count, resetAt: doc.expiresAt.getTime() };
+
+        return {
+            async get(key) {
+                return toEntry(await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }));
+            },
+            async increment(key, windowMs) {
+                const now = new Date();
+
+                // The TTL monitor only runs once a minute, so close an expired window here.
+                await RateLimit.deleteOne({ key, expiresAt: { $lte: now } });
+
+                try {
+                    return toEntry(await RateLimit.findOneAndUpdate(
+                        { key },
+                        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) } },
+                        { upsert: true, new: true }
+                    ));
+                } catch (error) {
+                    // Another instance opened the same window first.
+                    if (error.code !== 11000) throw error;
+                    return toEntry(await RateLimit.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true }));
+                }
+            },
+            async set(key, count, windowMs) {
+                await RateLimit.updateOne(
+                    { key },
+                    { $set: { count, expiresAt: new Date(Date.now() + windowMs) } },
+                    { upsert: true }
+                );
+            },
+            async reset(key) {
+                await RateLimit.deleteOne({ key });
+            }
+        };
+    }
+};
+
+function createRateLimitStore(type) {
+    if (!rateLimitStores[type]) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected one of: ${Object.keys(rateLimitStores).join(', ')})`);
+    }
+    return rateLimitStores[type]();
+}
+
+const rateLimitStore = createRateLimitStore(process.env.RATE_LIMIT_STORE || 'memory');
+
+function sendRateLimited(res, retryAfterMs, error) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error,
+        retryAfter
+    });
+}
+
+// Middleware allowing `limit` requests per IP in each `windowMs` window.
+function rateLimit(name, limit, windowMs) {
+    return async (req, res, next) => {
+        try {
+            const { count, resetAt } = await rateLimitStore.increment(`${name}:ip:${req.ip}`, windowMs);
+
+            if (count > limit) {
+                if (count === limit + 1) {
+                    console.warn(`⛔ Rate limit reached: ${name} from ${req.ip}`);
+                }
+                return sendRateLimited(res, resetAt - Date.now(), 'Too many requests. Try again later.');
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// Remaining lockout for the account name, in ms (0 when not locked).
+async function loginLockRemaining(name) {
+    const lock = await rateLimitStore.get(`login-lock:${String(name)}`);
+    return lock ? lock.resetAt - Date.now() : 0;
+}
+
+// Counted whether or not the account exists, so lockouts don't reveal that.
+async function recordLoginFailure(name, req) {
+    const key = String(name);
+    const { count } = await rateLimitStore.increment(`login-failures:${key}`, LOCKOUT_FAILURE_WINDOW_MS);
+
+    if (count < LOCKOUT_THRESHOLD) return;
+
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    await rateLimitStore.set(`login-lock:${key}`, count, lockMs);
+
+    console.warn(`🔒 Login locked for "${key}" for ${Math.round(lockMs / 1000)}s after ${count} failed attempts (last from ${req.ip})`);
+}
+
+async function clearLoginFailures(name) {
+    await Promise.all([
+        rateLimitStore.reset(`login-failures:${String(name)}`),
+        rateLimitStore.reset(`login-lock:${String(name)}`)
+    ]);
+}
+
+// ============================================
+// HELPER FUNCTIONS - IDEMPOTENCY
+// ============================================
+
+const IDEMPOTENT_METHODS = ['POST', 'PATCH', 'DELETE'];
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Identifies "the same request" for a key: same route, same query string
+// (in any order; flags such as ?dryRun change what a request does) and
+// same body.
+function requestFingerprint(req) {
+    const body = typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {});
+    const query = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    query.sort();
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.path}?${query}\n`)
+        .update(body)
+        .digest('hex');
+}
+
+// Returns { id } when this request gets to run, or { entry } when the key
+// has been used before.
+async function claimIdempotencyKey(userId, key, fingerprint) {
+    try {
+        const entry = await IdempotencyKey.create({
+            user: userId,
+            key,
+            fingerprint,
+            expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS)
+        });
+        return { id: entry._id };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const entry = await IdempotencyKey.findOne({ user: userId, key });
+
+    // Expired (or released) between the insert and the lookup; try again.
+    return entry ? { entry } : claimIdempotencyKey(userId, key, fingerprint);
+}
+
+function replayIdempotentResponse(res, entry, fingerprint) {
+    if (entry.fingerprint !== fingerprint) {
+        return res.status(409).json({
+            success: false,
+            error: 'This Idempotency-Key was already used for a different request',
+            code: 'idempotency_key_reused'
+        });
+    }
+
+    if (entry.body === undefined) {
+        return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still in progress',
+            code: 'idempotency_key_in_use'
+        });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(entry.statusCode).json(JSON.parse(entry.body));
+}
+
+// Stores the JSON response before sending it, so a retry can't overtake it.
+// Anything else (a server error, a dropped connection) releases the key.
+function keepIdempotentResponse(res, id) {
+    const json = res.json;
+    let kept = false;
+
+    res.json = (body) => {
+        if (res.statusCode >= 500) return json(body);
+
+        kept = true;
+        IdempotencyKey.updateOne({ _id: id }, {
+            statusCode: res.statusCode,
+            body: JSON.stringify(body)
+        })
+            .catch(error => console.error('Error storing idempotent response:', error))
+            .then(() => json(body));
+        return res;
+    };
+
+    res.on('close', () => {
+        if (kept) return;
+        IdempotencyKey.deleteOne({ _id: id })
+            .catch(error => console.error('Error releasing idempotency key:', error));
+    });
+}
+
+// ============================================
+// HELPER FUNCTIONS - MAIL
+// ============================================
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Orbit <no-reply@localhost>';
+
+// Links in mails point at the frontend, which posts the token back to us.
+const APP_URL = (process.env.APP_URL || allowedOrigins[0]).replace(/\/$/, '');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Every driver returns an object with `send(message)`, where message is
+// { from, to, subject, text }. MAIL_DRIVER picks one:
+//   smtp    - SMTP_URL, or SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS
+//   file    - writes each message as JSON into MAIL_DIR (default ./mail)
+//   console - logs the message (the default, for local development)
+// Production must name one, so mail isn't quietly sent to the log.
+const mailDrivers = {
+    smtp() {
+        const transport = nodemailer.createTransport(process.env.SMTP_URL || {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+
+        return {
+            send: (message) => transport.sendMail(message)
+        };
+    },
+
+    file() {
+        const dir = process.env.MAIL_DIR || path.join(__dirname, 'mail');
+
+        return {
+            async send(message) {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+                await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+            }
+        };
+    },
+
+    console() {
+        return {
+            async send(message) {
+                console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+            }
+        };
+    }
+};
+
+function createMailer(driver) {
+    if (!mailDrivers[driver]) {
+        throw new Error(`Unknown MAIL_DRIVER "${driver}" (expected one of: ${Object.keys(mailDrivers).join(', ')})`);
+    }
+    return mailDrivers[driver]();
+}
+
+if (process.env.NODE_ENV === 'production' && !process.env.MAIL_DRIVER) {
+    throw new Error('MAIL_DRIVER must be set in production');
+}
+
+const mailer = createMailer(process.env.MAIL_DRIVER || 'console');
+
+async function sendMail({ to, subject, text }) {
+    await mailer.send({ from: MAIL_FROM, to, subject, text });
+}
+
+function isEmail(value) {
+    return typeof value === 'string' && value.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+// Issuing a token invalidates any earlier one for the same purpose.
+async function issueMailToken(userId, purpose, ttlMs, email) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await MailToken.deleteMany({ user: userId, purpose });
+    await MailToken.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        email,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+}
+
+// Deleting on lookup makes each token single-use, even under concurrent requests.
+async function redeemMailToken(token, purpose) {
+    if (!token || typeof token !== 'string') return null;
+
+    return MailToken.findOneAndDelete({
+        tokenHash: hashToken(token),
+        purpose,
+        expiresAt: { $gt: new Date() }
+    });
+}
+
+// ============================================
+// HELPER FUNCTIONS - ACCESS TOKENS
+// ============================================
+
+async function findAccessToken(token) {
+    if (!token) return null;
+
+    const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+
+    // The TTL monitor only sweeps once a minute, so check expiry here too.
+    if (!accessToken || (accessToken.expiresAt && accessToken.expiresAt <= new Date())) {
+        return null;
+    }
+    return accessToken;
+}
+
+async function touchAccessToken(accessToken) {
+    const now = new Date();
+    if (accessToken.lastUsedAt && now - accessToken.lastUsedAt < SESSION_TOUCH_INTERVAL_MS) return;
+
+    accessToken.lastUsedAt = now;
+    await accessToken.save();
+}
+
+function formatAccessToken(accessToken) {
+    return {
+        id: accessToken._id,
+        name: accessToken.name,
+        prefix: accessToken.prefix,
+        scopes: accessToken.scopes,
+        createdAt: accessToken.createdAt,
+        lastUsedAt: accessToken.lastUsedAt || null,
+        expiresAt: accessToken.expiresAt || null
+    };
 }
 
 // ============================================